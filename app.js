@@ -10,29 +10,118 @@ document.addEventListener('DOMContentLoaded', function() {
         window.metricsTracker = metricsTracker; // Store global reference for debugging
         metricsTracker.init();
         
+        // window.metrics reads through to the tracker so page scripts see the same values
+        window.metrics = {
+            get customLCP() { return metricsTracker.customMetrics.customLCP; },
+            get nativeLCP() { return metricsTracker.metrics.webVitals.lcp || null; },
+            get lcs() { return metricsTracker.customMetrics.lcs; }
+        };
+        window.analyzeLCSSelection = () => metricsTracker.analyzeLCSSelection();
+        window.diagnoseLCPDiscrepancy = () => metricsTracker.diagnoseLCPDiscrepancy();
+        
         // 2. Initialize the image loader
         const imageLoader = new ImageLoader(metricsTracker);
         window.imageLoader = imageLoader; // Store global reference for debugging
         
-        // 3. Initialize display manager that connects both modules
-        const displayManager = new DisplayManager(metricsTracker, imageLoader);
+        // 2b. Inside a soft-run frame, report to the page that opened it
+        // (which keeps the run history) instead of storing runs here
+        const softRunId = RunReporter.getRunId();
+        if (softRunId) {
+            window.runReporter = new RunReporter(metricsTracker, imageLoader, softRunId);
+            document.body.classList.add('embedded-run');
+        }
+        
+        // 3. Initialize display manager that connects both modules (and stores run history)
+        const runHistory = softRunId ? null : new RunHistory();
+        window.runHistory = runHistory; // Store global reference for debugging
+        const displayManager = new DisplayManager(metricsTracker, imageLoader, runHistory);
         window.displayManager = displayManager; // Store global reference for debugging
         
+        // 3b. Initialize the batch runner (keeps results across reloads)
+        const batchRunner = new BatchRunner(metricsTracker, imageLoader);
+        window.batchRunner = batchRunner; // Store global reference for debugging
+        batchRunner.on('batchProgress', (progress) => displayManager.displayBatchProgress(progress));
+        batchRunner.on('batchComplete', (summary) => displayManager.displayBatchSummary(summary));
+        
+        // 3c. Initialize the exporter for JSON/CSV/HTML downloads
+        const reportExporter = new ReportExporter(metricsTracker, imageLoader);
+        window.reportExporter = reportExporter; // Store global reference for debugging
+        ['json', 'csv', 'html'].forEach(format => {
+            const exportButton = document.getElementById(`export-${format}`);
+            if (exportButton) {
+                exportButton.addEventListener('click', () => reportExporter.export(format));
+            }
+        });
+        
+        // 3d. Initialize the timeline of all page-load events
+        const timelineView = new TimelineView(metricsTracker, imageLoader);
+        window.timelineView = timelineView; // Store global reference for debugging
+        
         // 4. Set up test button functionality - MODIFIED FOR DIRECT PAGE RELOAD
+        // Build URL with query parameters instead of using sessionStorage
+        const buildRunUrl = () => {
+            const url = new URL(window.location.href);
+            url.searchParams.set('imageSize', document.getElementById('image-size').value || 'medium');
+            url.searchParams.set('imageType', document.getElementById('image-type').value || 'standard');
+            url.searchParams.set('imageSource', document.getElementById('image-source').value || 'local');
+            url.searchParams.set('loadingStrategy', document.getElementById('loading-strategy').value);
+            url.searchParams.set('placeholder', document.getElementById('placeholder-strategy').value);
+            url.searchParams.set('swapPolicy', document.getElementById('swap-policy').value);
+            url.searchParams.set('catalog', document.getElementById('catalog').value);
+            url.searchParams.set('layout', document.getElementById('layout').value);
+            url.searchParams.set('scenario', document.getElementById('scenario').value);
+            url.searchParams.set('autoScroll', document.getElementById('auto-scroll').value);
+            url.searchParams.set('script', document.getElementById('interaction-script').value);
+            url.searchParams.set('networkProfile', document.getElementById('network-profile').value);
+            url.searchParams.set('failureRate', document.getElementById('failure-rate').value);
+            // Explicit values override the profile's; an empty field leaves the profile's value
+            ['latency', 'jitter', 'bandwidth'].forEach(name => {
+                const value = document.getElementById(name).value;
+                if (value !== '') {
+                    url.searchParams.set(name, value);
+                } else {
+                    url.searchParams.delete(name);
+                }
+            });
+            url.searchParams.set('lcsThreshold', document.getElementById('lcs-threshold').value);
+            url.searchParams.set('runMode', document.getElementById('run-mode').value);
+            url.searchParams.delete('softRun');
+            return url.toString();
+        };
+        
+        // 4a. Soft runs: each run in a fresh frame, results stored in this page's history
+        const softRunner = new SoftRunner(document.getElementById('soft-run-frames'));
+        window.softRunner = softRunner; // Store global reference for debugging
+        softRunner.on('runStarted', (message) => {
+            displayManager.startSoftRun(message.runId);
+            displayManager.displaySoftRunStatus('Running in a fresh frame...');
+        });
+        softRunner.on('resultsReady', (message) => {
+            displayManager.recordSoftRun(message.runId, message.results, message.metrics, message.viewport);
+            displayManager.displaySoftRunStatus(`Finished at ${new Date().toLocaleTimeString()} - results stored in the run history`);
+        });
+        softRunner.on('metricsUpdate', (message) => displayManager.updateSoftRunMetrics(message.runId, message.metrics));
+        softRunner.on('runFailed', () => displayManager.displaySoftRunStatus('The frame did not report results in time'));
+        
         const runTestButton = document.getElementById('run-test');
         if (runTestButton) {
             runTestButton.addEventListener('click', () => {
-                // Get current settings
-                const imageSize = document.getElementById('image-size').value || 'medium';
-                const imageType = document.getElementById('image-type').value || 'standard';
-                
-                // Build URL with query parameters instead of using sessionStorage
-                const url = new URL(window.location.href);
-                url.searchParams.set('imageSize', imageSize);
-                url.searchParams.set('imageType', imageType);
+                if (document.getElementById('run-mode').value === 'soft') {
+                    // Keep this page and run in a new frame with the same parameters
+                    softRunner.run(buildRunUrl());
+                    return;
+                }
                 
                 // Force a complete page reload with the parameters
-                window.location.href = url.toString();
+                window.location.href = buildRunUrl();
+            });
+        }
+        
+        // 4b. Batch mode: cycle through every size × type combination
+        const runBatchButton = document.getElementById('run-batch');
+        if (runBatchButton) {
+            runBatchButton.addEventListener('click', () => {
+                batchRunner.start(document.getElementById('batch-runs').value, buildRunUrl());
             });
         }
         
@@ -40,6 +129,7 @@ document.addEventListener('DOMContentLoaded', function() {
         const urlParams = new URLSearchParams(window.location.search);
         const sizeParam = urlParams.get('imageSize');
         const typeParam = urlParams.get('imageType');
+        const sourceParam = urlParams.get('imageSource');
         
         if (sizeParam && document.getElementById('image-size')) {
             document.getElementById('image-size').value = sizeParam;
@@ -49,7 +139,82 @@ document.addEventListener('DOMContentLoaded', function() {
             document.getElementById('image-type').value = typeParam;
         }
         
-        // 6. Start initial image loading
+        if (sourceParam && document.getElementById('image-source')) {
+            document.getElementById('image-source').value = sourceParam;
+        }
+        
+        if (urlParams.get('loadingStrategy') && document.getElementById('loading-strategy')) {
+            document.getElementById('loading-strategy').value = urlParams.get('loadingStrategy');
+        }
+        
+        if (urlParams.get('placeholder') && document.getElementById('placeholder-strategy')) {
+            document.getElementById('placeholder-strategy').value = urlParams.get('placeholder');
+        }
+        
+        if (urlParams.get('swapPolicy') && document.getElementById('swap-policy')) {
+            document.getElementById('swap-policy').value = urlParams.get('swapPolicy');
+        }
+        
+        // A catalog URL that isn't one of the presets gets its own option
+        const catalogSelect = document.getElementById('catalog');
+        if (urlParams.get('catalog') && catalogSelect) {
+            if (!Array.from(catalogSelect.options).some(option => option.value === urlParams.get('catalog'))) {
+                catalogSelect.add(new Option(urlParams.get('catalog'), urlParams.get('catalog')));
+            }
+            catalogSelect.value = urlParams.get('catalog');
+        }
+        
+        if (urlParams.get('layout') && document.getElementById('layout')) {
+            document.getElementById('layout').value = urlParams.get('layout');
+        }
+        
+        if (urlParams.get('scenario') && document.getElementById('scenario')) {
+            document.getElementById('scenario').value = urlParams.get('scenario');
+        }
+        
+        if (urlParams.get('autoScroll') && document.getElementById('auto-scroll')) {
+            document.getElementById('auto-scroll').value = urlParams.get('autoScroll');
+        }
+        
+        // Interaction script to replay during the run: a JSON file or inline JSON steps
+        const scriptSelect = document.getElementById('interaction-script');
+        if (urlParams.get('script') && scriptSelect) {
+            if (!Array.from(scriptSelect.options).some(option => option.value === urlParams.get('script'))) {
+                const label = urlParams.get('script').trim().startsWith('{') || urlParams.get('script').trim().startsWith('[')
+                    ? 'Inline script (from URL)'
+                    : urlParams.get('script');
+                scriptSelect.add(new Option(label, urlParams.get('script')));
+            }
+            scriptSelect.value = urlParams.get('script');
+        }
+        
+        if (urlParams.get('networkProfile') && document.getElementById('network-profile')) {
+            document.getElementById('network-profile').value = urlParams.get('networkProfile');
+        }
+        
+        if (urlParams.get('failureRate') && document.getElementById('failure-rate')) {
+            document.getElementById('failure-rate').value = urlParams.get('failureRate');
+        }
+        
+        ['latency', 'jitter', 'bandwidth'].forEach(name => {
+            if (urlParams.get(name) && document.getElementById(name)) {
+                document.getElementById(name).value = urlParams.get(name);
+            }
+        });
+        
+        if (urlParams.get('lcsThreshold') && document.getElementById('lcs-threshold')) {
+            document.getElementById('lcs-threshold').value = urlParams.get('lcsThreshold');
+        }
+        
+        if (urlParams.get('runMode') && document.getElementById('run-mode')) {
+            document.getElementById('run-mode').value = urlParams.get('runMode');
+        }
+        
+        // 6. Continue a batch in progress, then start initial image loading
+        // A soft-run frame shares localStorage with its parent, so it never continues a batch
+        if (!softRunId) {
+            batchRunner.resume();
+        }
         imageLoader.loadImages();
         
     }, 100);
@@ -0,0 +1,124 @@
+/**
+ * Scripted Auto-Scroll
+ * Scrolls the page at a fixed speed so below-the-fold images enter the viewport
+ * at reproducible times. Stops at the end of the page or when the user takes over
+ */
+class AutoScroller {
+    constructor() {
+        this.running = false;
+        this.delayTimer = null;
+        this.stepTimer = null;
+        this.summary = null;
+        this.runStartTime = 0;
+        this.onDone = null;
+        this._inputHandler = null;
+    }
+    
+    /**
+     * Check whether a scroll is scheduled or in progress
+     */
+    isRunning() {
+        return this.running;
+    }
+    
+    /**
+     * Scroll from the top at the named speed (see CONFIG.autoScroll.speeds)
+     * Logged times are relative to startTime (the run start)
+     * onDone receives the summary once scrolling stops
+     */
+    start(speedName, startTime, onDone) {
+        this.stop();
+        
+        const speed = CONFIG.autoScroll.speeds[speedName];
+        if (!speed) return false;
+        
+        // A reload would otherwise restore the previous scroll position
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+        window.scrollTo(0, 0);
+        
+        this.running = true;
+        this.runStartTime = startTime;
+        this.onDone = onDone;
+        this.summary = {
+            speed: speedName,
+            pixelsPerSecond: Math.round(speed.step * 1000 / speed.interval),
+            startTime: null,
+            endTime: null,
+            distance: 0,
+            reachedEnd: false,
+            stoppedBy: null,
+            steps: []
+        };
+        
+        // Real input takes over from the script
+        this._inputHandler = (event) => {
+            if (event.isTrusted) this.finish(`user ${event.type}`);
+        };
+        AutoScroller.INPUT_EVENTS.forEach(type => {
+            window.addEventListener(type, this._inputHandler, { capture: true, passive: true });
+        });
+        
+        this.delayTimer = setTimeout(() => {
+            let lastProgress = performance.now();
+            this.summary.startTime = lastProgress - startTime;
+            
+            this.stepTimer = setInterval(() => {
+                const before = window.scrollY;
+                window.scrollBy(0, speed.step);
+                const moved = window.scrollY - before;
+                const now = performance.now();
+                
+                if (moved > 0) {
+                    lastProgress = now;
+                    this.summary.distance += moved;
+                    this.summary.steps.push({ time: now - startTime, scrollY: Math.round(window.scrollY) });
+                } else if (now - lastProgress >= CONFIG.autoScroll.endDelay) {
+                    // Nothing new to scroll to (infinite scroll gets endDelay to append more)
+                    this.summary.reachedEnd = true;
+                    this.finish('end of page');
+                }
+            }, speed.interval);
+        }, CONFIG.autoScroll.startDelay);
+        
+        console.log(`Auto-scroll (${speedName}) starts in ${CONFIG.autoScroll.startDelay}ms`);
+        return true;
+    }
+    
+    /**
+     * Stop scrolling and report the summary
+     */
+    finish(reason) {
+        if (!this.running) return;
+        
+        this.stop();
+        
+        this.summary.stoppedBy = reason;
+        this.summary.endTime = performance.now() - this.runStartTime;
+        console.log(`Auto-scroll stopped (${reason}) after ${Math.round(this.summary.distance)}px`);
+        
+        if (this.onDone) this.onDone(this.summary);
+    }
+    
+    /**
+     * Cancel timers and input listeners without reporting
+     */
+    stop() {
+        clearTimeout(this.delayTimer);
+        clearInterval(this.stepTimer);
+        this.delayTimer = null;
+        this.stepTimer = null;
+        this.running = false;
+        
+        if (this._inputHandler) {
+            AutoScroller.INPUT_EVENTS.forEach(type => {
+                window.removeEventListener(type, this._inputHandler, true);
+            });
+            this._inputHandler = null;
+        }
+    }
+}
+
+// User input that cancels a scripted scroll
+AutoScroller.INPUT_EVENTS = ['wheel', 'touchstart', 'pointerdown', 'keydown'];
@@ -0,0 +1,364 @@
+/**
+ * Batch Test Runner
+ * Cycles through every image size × loading type combination N times with a
+ * full page reload between runs, keeping results in localStorage
+ */
+class BatchRunner {
+    constructor(metricsTracker, imageLoader) {
+        this.metricsTracker = metricsTracker;
+        this.imageLoader = imageLoader;
+        
+        this.storageKey = CONFIG.batch.storageKey;
+        this.state = this.loadState();
+        this.runRecorded = false;
+        
+        // Event system
+        this.callbacks = {};
+    }
+    
+    /**
+     * Register event listeners
+     */
+    on(event, callback) {
+        if (!this.callbacks[event]) this.callbacks[event] = [];
+        this.callbacks[event].push(callback);
+    }
+    
+    /**
+     * Emit events to listeners
+     */
+    emit(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => callback(data));
+        }
+    }
+    
+    /**
+     * Read batch state from localStorage
+     */
+    loadState() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.warn('Could not read batch state', e);
+            return null;
+        }
+    }
+    
+    /**
+     * Persist batch state to localStorage
+     */
+    saveState() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (e) {
+            console.warn('Could not save batch state', e);
+        }
+    }
+    
+    /**
+     * Check whether a batch is currently in progress
+     */
+    isActive() {
+        return !!this.state && !this.state.completed && this.state.position < this.state.plan.length;
+    }
+    
+    /**
+     * Get the loading types offered by the #image-type control
+     */
+    getLoadingTypes() {
+        const select = document.getElementById('image-type');
+        return select ? Array.from(select.options).map(option => option.value) : ['standard'];
+    }
+    
+    /**
+     * Start a new batch of runs
+     * Settings other than size and type are taken from baseUrl
+     */
+    start(runsPerCombination, baseUrl = window.location.href) {
+        const catalogSource = new URL(baseUrl).searchParams.get('catalog');
+        const catalogReady = catalogSource ? new ProductCatalog(catalogSource).load() : Promise.resolve(null);
+        
+        return catalogReady.then(catalog => this.startWithCatalog(runsPerCombination, baseUrl, catalog));
+    }
+    
+    /**
+     * Plan and start a batch once the catalog it will run against is known
+     * Sizes are only varied for products the catalog doesn't give a size
+     */
+    startWithCatalog(runsPerCombination, baseUrl, catalog) {
+        const runs = Math.max(parseInt(runsPerCombination) || 1, 1);
+        const combinations = [];
+        
+        const fixedSizes = catalog ? catalog.countFixedSizes() : 0;
+        const productCount = catalog ? catalog.products.length : 0;
+        let imageSizes = Object.keys(CONFIG.imageSizes);
+        let sizeNote = null;
+        
+        if (fixedSizes > 0 && fixedSizes === productCount) {
+            // Every size would measure the same page; run it once per type
+            imageSizes = [new URL(baseUrl).searchParams.get('imageSize') || 'medium'];
+            sizeNote = 'The catalog sets every product\'s image size, so image sizes were not varied.';
+        } else if (fixedSizes > 0) {
+            sizeNote = `The catalog sets the image size of ${fixedSizes} of ${productCount} products; ` +
+                'only the others change between size combinations.';
+        }
+        
+        imageSizes.forEach(imageSize => {
+            this.getLoadingTypes().forEach(imageType => {
+                combinations.push({ imageSize, imageType });
+            });
+        });
+        
+        // Interleave combinations so slow drift affects every combination equally
+        const plan = [];
+        for (let iteration = 0; iteration < runs; iteration++) {
+            combinations.forEach(combination => plan.push({ ...combination, iteration }));
+        }
+        
+        this.state = {
+            startedAt: new Date().toISOString(),
+            runsPerCombination: runs,
+            baseUrl: baseUrl,
+            plan: plan,
+            sizeNote: sizeNote,
+            position: 0,
+            results: [],
+            completed: false
+        };
+        this.saveState();
+        
+        console.log(`Starting batch: ${combinations.length} combinations × ${runs} runs = ${plan.length} page loads`);
+        this.navigateToCurrentRun();
+    }
+    
+    /**
+     * Abandon the current batch, keeping results collected so far
+     */
+    cancel() {
+        if (!this.state) return;
+        
+        clearTimeout(this.runTimeout);
+        this.state.completed = true;
+        this.state.cancelled = true;
+        this.saveState();
+        
+        this.emit('batchComplete', this.getSummary());
+    }
+    
+    /**
+     * Discard stored batch state and results
+     */
+    clear() {
+        this.state = null;
+        localStorage.removeItem(this.storageKey);
+    }
+    
+    /**
+     * Reload the page with the settings of the current plan entry
+     */
+    navigateToCurrentRun() {
+        const run = this.state.plan[this.state.position];
+        const url = new URL(this.state.baseUrl);
+        url.searchParams.set('imageSize', run.imageSize);
+        url.searchParams.set('imageType', run.imageType);
+        
+        window.location.href = url.toString();
+    }
+    
+    /**
+     * Pick up a batch after a reload
+     * Call before the initial image load so results of this run are captured
+     */
+    resume() {
+        if (!this.state) return;
+        
+        if (!this.isActive()) {
+            if (this.state.results.length > 0) {
+                this.emit('batchComplete', this.getSummary());
+            }
+            return;
+        }
+        
+        const run = this.state.plan[this.state.position];
+        const urlParams = new URLSearchParams(window.location.search);
+        
+        // Make sure this page load actually uses the planned settings
+        if (urlParams.get('imageSize') !== run.imageSize || urlParams.get('imageType') !== run.imageType) {
+            this.navigateToCurrentRun();
+            return;
+        }
+        
+        this.emit('batchProgress', {
+            position: this.state.position,
+            total: this.state.plan.length,
+            run: run
+        });
+        
+        this.imageLoader.on('resultsReady', (results) => {
+            // Give late LCP/LCS updates time to arrive before sampling
+            setTimeout(() => this.recordRun(run, results), CONFIG.batch.settleDelay);
+        });
+        
+        // A run that never finalizes must not stall the batch
+        this.runTimeout = setTimeout(() => {
+            console.warn(`Batch run ${this.state.position + 1} timed out`);
+            this.recordRun(run, null);
+        }, CONFIG.batch.runTimeout);
+    }
+    
+    /**
+     * Store the measurements of the current run and move on
+     */
+    recordRun(run, results) {
+        if (this.runRecorded || !this.isActive()) return;
+        this.runRecorded = true;
+        clearTimeout(this.runTimeout);
+        
+        const sample = {
+            imageSize: run.imageSize,
+            imageType: run.imageType,
+            iteration: run.iteration,
+            timedOut: !results,
+            ...this.extractMeasurements(results)
+        };
+        
+        this.state.results.push(sample);
+        this.state.position++;
+        
+        if (this.state.position >= this.state.plan.length) {
+            this.state.completed = true;
+        }
+        
+        this.saveState();
+        console.log(`Batch run ${this.state.position}/${this.state.plan.length} recorded`, sample);
+        
+        if (this.state.completed) {
+            this.emit('batchComplete', this.getSummary());
+        } else {
+            this.navigateToCurrentRun();
+        }
+    }
+    
+    /**
+     * Reduce one run to the values summarized across runs
+     */
+    extractMeasurements(results) {
+        const webVitals = this.metricsTracker.metrics.webVitals;
+        const customMetrics = this.metricsTracker.customMetrics;
+        
+        const measurements = {
+            nativeLCP: webVitals.lcp ? webVitals.lcp.value : null,
+            customLCP: customMetrics.customLCP ? customMetrics.customLCP.value : null,
+            lcs: customMetrics.lcs.elements.length > 0 ? customMetrics.lcs.lastPaintTime : null,
+            loadTime: null,
+            paintDelta: null
+        };
+        
+        if (!results) return measurements;
+        
+        // Only the final image of each product counts (skip LQIP low-res phases)
+        const finalLoads = results.loadTimes.filter(item => item.type !== 'low-res');
+        if (finalLoads.length > 0) {
+            measurements.loadTime = this.mean(finalLoads.map(item => item.time));
+        }
+        
+        // Prefer Element Timing deltas, fall back to double-rAF where unsupported
+        const finalDeltas = results.paintDeltas.filter(item => item.type !== 'low-res');
+        const apiDeltas = finalDeltas.filter(item => item.method === 'ElementTiming API');
+        const deltas = apiDeltas.length > 0 ? apiDeltas : finalDeltas;
+        if (deltas.length > 0) {
+            measurements.paintDelta = this.mean(deltas.map(item => item.delta));
+        }
+        
+        return measurements;
+    }
+    
+    /**
+     * Summarize stored results per size/type combination
+     */
+    getSummary() {
+        const metricNames = ['loadTime', 'paintDelta', 'nativeLCP', 'customLCP', 'lcs'];
+        const groups = {};
+        
+        this.state.results.forEach(sample => {
+            const key = `${sample.imageSize}/${sample.imageType}`;
+            if (!groups[key]) {
+                groups[key] = {
+                    imageSize: sample.imageSize,
+                    imageType: sample.imageType,
+                    runs: 0,
+                    timedOut: 0,
+                    samples: {}
+                };
+                metricNames.forEach(name => groups[key].samples[name] = []);
+            }
+            
+            groups[key].runs++;
+            if (sample.timedOut) groups[key].timedOut++;
+            
+            metricNames.forEach(name => {
+                if (typeof sample[name] === 'number') {
+                    groups[key].samples[name].push(sample[name]);
+                }
+            });
+        });
+        
+        return {
+            startedAt: this.state.startedAt,
+            runsPerCombination: this.state.runsPerCombination,
+            completedRuns: this.state.results.length,
+            plannedRuns: this.state.plan.length,
+            cancelled: !!this.state.cancelled,
+            sizeNote: this.state.sizeNote || null,
+            combinations: Object.values(groups).map(group => ({
+                imageSize: group.imageSize,
+                imageType: group.imageType,
+                runs: group.runs,
+                timedOut: group.timedOut,
+                stats: metricNames.reduce((stats, name) => {
+                    stats[name] = this.describe(group.samples[name]);
+                    return stats;
+                }, {})
+            }))
+        };
+    }
+    
+    /**
+     * Descriptive statistics for a list of samples
+     */
+    describe(values) {
+        if (values.length === 0) return null;
+        
+        const sorted = [...values].sort((a, b) => a - b);
+        const mean = this.mean(sorted);
+        const variance = sorted.length > 1
+            ? sorted.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (sorted.length - 1)
+            : 0;
+        
+        return {
+            count: sorted.length,
+            median: this.percentile(sorted, 0.5),
+            p75: this.percentile(sorted, 0.75),
+            p95: this.percentile(sorted, 0.95),
+            stdDev: Math.sqrt(variance)
+        };
+    }
+    
+    /**
+     * Percentile of sorted values using linear interpolation
+     */
+    percentile(sorted, fraction) {
+        const position = (sorted.length - 1) * fraction;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+    
+    /**
+     * Arithmetic mean
+     */
+    mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+}
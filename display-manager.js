@@ -3,9 +3,10 @@
  * Handles all UI updates from both metrics tracker and image loader
  */
 class DisplayManager {
-    constructor(metricsTracker, imageLoader) {
+    constructor(metricsTracker, imageLoader, runHistory) {
         this.metricsTracker = metricsTracker;
         this.imageLoader = imageLoader;
+        this.runHistory = runHistory || null;
         
         // DOM elements
         this.resultsContainer = document.getElementById('results');
@@ -13,11 +14,17 @@ class DisplayManager {
         this.viewportDimEl = document.getElementById('viewport-dimensions');
         this.elementPosEl = document.getElementById('element-positions');
         this.intersectionEventsEl = document.getElementById('intersection-events');
+        this.historyContainer = document.getElementById('run-history');
         
         // Last results for redisplay
         this.lastMetrics = null;
         this.lastImageResults = null;
         
+        // History id of the run currently on screen; the latest soft run's
+        // run id and, once its results are stored, its history id
+        this.currentRunId = null;
+        this.softRun = null;
+        
         // Set up event listeners
         this.setupEventListeners();
     }
@@ -34,12 +41,18 @@ class DisplayManager {
             this.metricsTracker.on('metricsUpdate', (data) => {
                 this.lastMetrics = data;
                 this.renderEnhancedMetricsDisplay(document.getElementById('page-metrics-content'), data);
+                
+                // Keep the saved run in sync with late metric updates
+                if (this.runHistory && this.currentRunId) {
+                    this.runHistory.updateMetrics(this.currentRunId, this.metricsTracker.getSnapshot());
+                }
             });
             
             this.metricsTracker.on('lcsUpdate', (data) => {
                 // Re-render any current metrics with updated LCS data
                 if (this.lastMetrics) {
                     this.lastMetrics.lcs = data;
+                    this.lastMetrics.lcsDefinitions = this.metricsTracker.customMetrics.lcsDefinitions;
                     this.renderEnhancedMetricsDisplay(document.getElementById('page-metrics-content'), this.lastMetrics);
                 }
             });
@@ -58,9 +71,19 @@ class DisplayManager {
             this.imageLoader.on('resultsReady', (results) => {
                 this.lastImageResults = results;
                 this.displayImageResults(results);
+                
+                if (this.runHistory) {
+                    this.currentRunId = this.runHistory.addRun(results, this.metricsTracker.getSnapshot());
+                    this.renderRunHistory();
+                }
             });
         }
         
+        // Show stored runs from previous page loads
+        if (this.runHistory) {
+            this.renderRunHistory();
+        }
+        
         // Set up refresh debug button
         const refreshDebugButton = document.getElementById('refresh-debug');
         if (refreshDebugButton) {
@@ -177,7 +200,7 @@ class DisplayManager {
     renderEnhancedMetricsDisplay(container, data) {
         if (!container) return;
         
-        const { navTiming, webVitals, customLCP, lcs } = data;
+        const { navTiming, webVitals, customLCP, lcs, lcpInput } = data;
         
         let html = '<table><thead><tr><th>Metric</th><th>Value</th><th>Notes</th></tr></thead><tbody>';
         
@@ -240,6 +263,17 @@ class DisplayManager {
                 `;
             }
             
+            // Input ends LCP; later paints no longer produce candidates
+            if (lcpInput) {
+                html += `
+                    <tr>
+                        <td><strong>LCP Finalized By Input</strong></td>
+                        <td>${lcpInput.time.toFixed(2)} ms</td>
+                        <td>First ${lcpInput.scripted ? 'scripted ' : ''}${lcpInput.type}; paints after it are not LCP candidates${lcpInput.scripted ? ' (native LCP entries after it are ignored here, the browser itself only stops for real input)' : ''}</td>
+                    </tr>
+                `;
+            }
+            
             // If we have both, add comparison analysis
             if (webVitals.lcp && customLCP) {
                 const difference = Math.abs(webVitals.lcp.value - customLCP.value);
@@ -297,6 +331,8 @@ class DisplayManager {
                     </td>
                 </tr>
             `;
+            
+            html += this.renderLcsDefinitions(data.lcsDefinitions);
         }
         
         // --- THIRD SECTION: OTHER WEB VITALS ---
@@ -319,11 +355,43 @@ class DisplayManager {
         
         // CLS (if available)
         if (webVitals.cls) {
+            const cls = webVitals.cls;
             html += `
                 <tr>
                     <td><strong>Cumulative Layout Shift (CLS)</strong></td>
-                    <td>${webVitals.cls.value.toFixed(4)}</td>
-                    <td>Number of shifts: ${webVitals.cls.entries.length}</td>
+                    <td class="metric-${cls.rating}">${cls.value.toFixed(4)}</td>
+                    <td>
+                        Largest session window: ${cls.entries.length} shifts
+                        ${cls.windowStart !== null ? `from ${cls.windowStart.toFixed(0)} to ${cls.windowEnd.toFixed(0)} ms` : ''}<br>
+                        ${cls.totalShifts} shifts in ${cls.sessionCount} session windows
+                        ${this.renderShiftAttribution(cls)}
+                    </td>
+                </tr>
+            `;
+        }
+        
+        // INP (if any interactions happened)
+        if (webVitals.inp) {
+            const inp = webVitals.inp;
+            html += `
+                <tr>
+                    <td><strong>Interaction to Next Paint (INP)</strong></td>
+                    <td class="metric-${inp.rating}">${inp.value.toFixed(2)} ms</td>
+                    <td>
+                        ${inp.eventType} on ${inp.target} at ${inp.startTime.toFixed(2)} ms<br>
+                        Input delay: ${inp.inputDelay.toFixed(2)} ms<br>
+                        Processing time: ${inp.processingTime.toFixed(2)} ms<br>
+                        Presentation delay: ${inp.presentationDelay.toFixed(2)} ms<br>
+                        Interactions observed: ${inp.interactionCount}
+                    </td>
+                </tr>
+            `;
+        } else {
+            html += `
+                <tr>
+                    <td><strong>Interaction to Next Paint (INP)</strong></td>
+                    <td>N/A</td>
+                    <td>No interactions yet - click "Add to Cart" on a product to measure responsiveness</td>
                 </tr>
             `;
         }
@@ -353,6 +421,22 @@ class DisplayManager {
                     <td>Page and all assets fully loaded</td>
                 </tr>
             `;
+            
+            if (navTiming.ttfb !== undefined) {
+                html += `
+                    <tr>
+                        <td><strong>Time to First Byte (TTFB)</strong></td>
+                        <td>${navTiming.ttfb.toFixed(2)} ms</td>
+                        <td>
+                            Redirect: ${navTiming.redirect.toFixed(2)} ms<br>
+                            DNS: ${navTiming.dns.toFixed(2)} ms<br>
+                            Connect: ${navTiming.connect.toFixed(2)} ms (TLS: ${navTiming.tls.toFixed(2)} ms)<br>
+                            Request (waiting for first byte): ${navTiming.request.toFixed(2)} ms<br>
+                            Response (download): ${navTiming.response.toFixed(2)} ms
+                        </td>
+                    </tr>
+                `;
+            }
         }
         
         html += '</tbody></table>';
@@ -361,6 +445,65 @@ class DisplayManager {
         container.innerHTML = html;
     }
     
+    /**
+     * Render the largest layout shifts and the nodes responsible
+     */
+    renderShiftAttribution(cls) {
+        if (!cls.shifts || cls.shifts.length === 0) return '';
+        
+        const topSources = cls.sources.slice(0, 5).map(source => 
+            `<li>${source.label}: ${source.value.toFixed(4)} (${source.count} shift${source.count === 1 ? '' : 's'})` +
+            `${source.causes.length ? ' - likely cause: ' + source.causes.join(', ') : ''}</li>`
+        ).join('');
+        
+        const formatRect = (rect) => rect ? `${rect.x},${rect.y} ${rect.width}×${rect.height}` : 'none';
+        
+        const topShifts = [...cls.shifts]
+            .sort((a, b) => b.value - a.value)
+            .slice(0, 5)
+            .map(shift => {
+                const sources = shift.sources.map(source => 
+                    `${source.label} [${formatRect(source.previousRect)} → ${formatRect(source.currentRect)}]` +
+                    `${source.likelyCause ? ' after ' + source.likelyCause : ''}`
+                ).join('; ');
+                return `<li>${shift.value.toFixed(4)} at ${shift.startTime.toFixed(0)} ms (window ${shift.sessionIndex}): ${sources || 'no source data'}</li>`;
+            }).join('');
+        
+        return `
+            <br><strong>Biggest shift sources:</strong>
+            <ul>${topSources || '<li>No source data (browser does not report attribution)</li>'}</ul>
+            <strong>Largest individual shifts:</strong>
+            <ul>${topShifts}</ul>
+        `;
+    }
+    
+    /**
+     * Render one row per LCS definition so their last paint times can be compared
+     */
+    renderLcsDefinitions(definitions) {
+        if (!definitions || Object.keys(definitions).length === 0) return '';
+        
+        const describeElement = (item) => item.element.dataset && item.element.dataset.index !== undefined
+            ? `#${Number(item.element.dataset.index) + 1}`
+            : item.element.tagName;
+        
+        return `
+            <tr class="section-header">
+                <td colspan="3"><strong>LCS Definitions Compared</strong></td>
+            </tr>
+            ${Object.values(definitions).map(definition => `
+                <tr>
+                    <td><strong>${definition.label}</strong></td>
+                    <td>${definition.lastPaintTime !== null ? definition.lastPaintTime.toFixed(2) + ' ms' : 'N/A'}</td>
+                    <td>
+                        ${definition.description}<br>
+                        ${definition.elements.length} element${definition.elements.length === 1 ? '' : 's'}${definition.viewportCoverage !== null ? `, ${Math.round(definition.viewportCoverage * 100)}% of the viewport` : ''}${definition.elements.length > 0 ? ': ' + definition.elements.map(describeElement).join(', ') : ''}
+                    </td>
+                </tr>
+            `).join('')}
+        `;
+    }
+    
     /**
      * Get description for FCP rating
      */
@@ -410,8 +553,17 @@ class DisplayManager {
         // Create results HTML
         let resultsHTML = `
             <h2>Timing Results</h2>
-            <p>Image size: <strong>${results.imageSize}</strong></p>
+            <p>Image size: <strong>${results.imageSize}</strong>${results.catalogSizedProducts ? ` (the catalog sets the size of ${results.catalogSizedProducts} of ${results.productCount} products)` : ''}</p>
             <p>Loading type: <strong>${results.imageType}</strong></p>
+            <p>Run mode: <strong>${results.runMode === 'soft' ? 'Soft run' : 'Cold navigation'}</strong> (${results.runMode === 'soft' ? 'fresh frame, page assets may be cached, images cache-busted' : 'full page load'})</p>
+            ${results.imageSource ? `<p>Image source: <strong>${results.imageSource}</strong> (network: ${results.networkConditions})</p>` : ''}
+            ${results.imageSourceFallback ? `<p class="metric-poor">Local images unavailable, results use ${results.imageSource}: ${results.imageSourceFallback}</p>` : ''}
+            ${results.placeholderStrategy ? `<p>Placeholder: <strong>${this.imageLoader.placeholders.getStrategy(results.placeholderStrategy).label}</strong></p>` : ''}
+            ${results.swapPolicy ? `<p>LQIP swap policy: <strong>${CONFIG.lqipSwap.policies[results.swapPolicy]}</strong></p>` : ''}
+            ${results.loadingStrategy ? `<p>Loading strategy: <strong>${CONFIG.loadingStrategies[results.loadingStrategy].label}</strong></p>` : ''}
+            ${results.catalog ? `<p>Catalog: <strong>${HTMLText.escape(results.catalog)}</strong>, layout: <strong>${CONFIG.catalog.layouts[results.layout].label}</strong></p>` : ''}
+            ${results.scenario === 'infinite-scroll' ? `<p>Scenario: <strong>Infinite scroll</strong> (${results.batches.length} batches of up to ${CONFIG.infiniteScroll.batchSize})</p>` : ''}
+            ${results.autoScroll ? `<p>Auto-scroll: <strong>${CONFIG.autoScroll.speeds[results.autoScroll.speed].label}</strong> (${results.autoScroll.pixelsPerSecond} px/s, ${Math.round(results.autoScroll.distance)} px, stopped by ${results.autoScroll.stoppedBy || 'results timeout'})</p>` : ''}
             <p>Navigation start reference: <strong>${new Date(results.navigationStartTime).toISOString()}</strong></p>
         `;
         
@@ -424,6 +576,7 @@ class DisplayManager {
                         <th>Image</th>
                         <th>Load Time (ms)</th>
                         ${results.imageType === 'lowquality' ? '<th>Phase</th>' : ''}
+                        <th>Status</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -444,6 +597,20 @@ class DisplayManager {
                     <td>Product Image ${item.index + 1}</td>
                     <td>${item.time.toFixed(2)}</td>
                     ${results.imageType === 'lowquality' ? `<td>${item.type}</td>` : ''}
+                    <td${item.retries ? ' class="image-retried"' : ''}>${item.retries ? `Loaded after ${item.retries} ${item.retries === 1 ? 'retry' : 'retries'}` : 'Loaded'}</td>
+                </tr>
+            `;
+        });
+        
+        // Images that never loaded show the fallback image instead
+        const failedImages = (results.imageAttempts || []).filter(item => item.status === 'failed');
+        failedImages.forEach(item => {
+            resultsHTML += `
+                <tr>
+                    <td>Product Image ${item.imageIndex + 1}</td>
+                    <td>N/A</td>
+                    ${results.imageType === 'lowquality' ? `<td>${item.type}</td>` : ''}
+                    <td class="image-failed">Failed after ${item.attempts.length} attempts (fallback shown)</td>
                 </tr>
             `;
         });
@@ -539,6 +706,8 @@ class DisplayManager {
                             <th>Element Timing (ms)</th>
                             <th>double-rAF (ms)</th>
                             <th>Difference (ms)</th>
+                            <th>Decode / Ready (ms)</th>
+                            <th>Paint After Decode (ms)</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -566,6 +735,25 @@ class DisplayManager {
                     }
                 }
                 
+                // Split the load → paint gap into decode and the remaining paint work
+                const decodeEntry = (results.decodeTimings || []).find(item => 
+                    item.imageIndex === group.imageIndex && item.type === group.type && item.decodeTime !== null
+                );
+                const gap = apiTiming ? apiTiming.delta : rafTiming ? rafTiming.delta : null;
+                let decodeCell = 'N/A';
+                let paintAfterDecode = 'N/A';
+                
+                if (decodeEntry && gap !== null) {
+                    if (decodeEntry.beforeSwap) {
+                        // Decoded before src was set, so the whole gap is paint work
+                        decodeCell = `${decodeEntry.decodeTime.toFixed(2)} <small>(before swap)</small>`;
+                        paintAfterDecode = gap.toFixed(2);
+                    } else {
+                        decodeCell = `${decodeEntry.decodeTime.toFixed(2)} <small>(ready after load)</small>`;
+                        paintAfterDecode = Math.max(gap - decodeEntry.decodeTime, 0).toFixed(2);
+                    }
+                }
+                
                 resultsHTML += `
                     <tr>
                         <td>Product Image ${group.imageIndex + 1}</td>
@@ -574,6 +762,8 @@ class DisplayManager {
                         <td class="api-method">${apiTiming ? apiTiming.paintTime.toFixed(2) : 'N/A'}</td>
                         <td class="raf-method">${rafTiming ? rafTiming.paintTime.toFixed(2) : 'N/A'}</td>
                         <td class="${differenceClass}">${difference}</td>
+                        <td>${decodeCell}</td>
+                        <td>${paintAfterDecode}</td>
                     </tr>
                 `;
             });
@@ -581,6 +771,9 @@ class DisplayManager {
             resultsHTML += `
                     </tbody>
                 </table>
+                <p>Decode before swap is the full <code>img.decode()</code> of an off-DOM copy. For images decoded in the page, the browser
+                usually starts decoding during the load, so <code>img.decode()</code> from the load event only shows the time left until the image
+                is ready. Paint after decode is the rest of the load → paint gap (Element Timing where available, otherwise double-rAF).</p>
                 
                 <style>
                     .api-method { background-color: #f0f8ff; }
@@ -647,6 +840,11 @@ class DisplayManager {
                         }
                     }
                     
+                    // Long frames overlapping the load→paint interval
+                    if (delta.delayCause) {
+                        notes += ` <strong>${delta.delayCause}.</strong>`;
+                    }
+                    
                     // Find viewport entry for this image
                     const viewportEntry = results.viewportDeltas.find(
                         item => item.imageIndex === delta.imageIndex
@@ -684,6 +882,52 @@ class DisplayManager {
             `;
         }
         
+        // Placeholder paint vs final paint per strategy
+        if (results.placeholderStrategy) {
+            resultsHTML += this.renderPlaceholderComparison(results);
+        }
+        
+        // How loading attributes changed viewport entry vs paint ordering
+        if (results.loadingStrategy) {
+            resultsHTML += this.renderLoadingStrategyEffect(results);
+        }
+        
+        // Below-the-fold images: how long they took to paint once scrolled into view
+        if (results.scenario === 'infinite-scroll' || results.autoScroll) {
+            resultsHTML += this.renderViewportToPaint(results);
+        }
+        
+        // Attempts of images that errored or timed out
+        const troubledImages = (results.imageAttempts || []).filter(item => item.attempts.length > 1 || item.status === 'failed');
+        if (troubledImages.length > 0) {
+            resultsHTML += this.renderImageAttempts(troubledImages);
+        }
+        
+        // Replayed interaction steps and their timing
+        if (results.interactionScript) {
+            resultsHTML += this.renderInteractionScript(results.interactionScript);
+        }
+        
+        // Long frames that overlapped image paints
+        if (results.longFrames && results.longFrames.length > 0) {
+            resultsHTML += this.renderLongFrames(results);
+        }
+        
+        // Network waterfall: split load-to-paint into network time and render time
+        if (results.resourceTimings && results.resourceTimings.length > 0) {
+            resultsHTML += this.renderWaterfall(results);
+        }
+        
+        // Formats negotiated through <picture>
+        if (results.formatSelections && results.formatSelections.length > 0) {
+            resultsHTML += this.renderFormatSelections(results);
+        }
+        
+        // Chosen image candidates and oversizing
+        if (results.imageSelections && results.imageSelections.length > 0) {
+            resultsHTML += this.renderImageSelections(results.imageSelections);
+        }
+        
         // Add explanation of methods and browser compatibility
         resultsHTML += `
             <div class="info-note">
@@ -697,4 +941,901 @@ class DisplayManager {
         // Update the results element
         this.resultsContainer.innerHTML = resultsHTML;
     }
+    
+    /**
+     * Render placeholder paint vs final paint, with the placeholder's payload and cost
+     */
+    renderPlaceholderComparison(results) {
+        const runStart = results.runStartTime || 0;
+        const strategy = this.imageLoader.placeholders.getStrategy(results.placeholderStrategy);
+        const formatTime = (value) => typeof value === 'number' ? value.toFixed(2) : 'N/A';
+        
+        // Prefer Element Timing; low-res phases only have double-rAF
+        const paintTimeOf = (index, type) => {
+            const deltas = results.paintDeltas.filter(item => item.imageIndex === index && item.type === type);
+            const delta = deltas.find(item => item.method === 'ElementTiming API') || deltas[0];
+            return delta ? this.imageLoader.getNavigationInterval(delta, runStart).paint - runStart : null;
+        };
+        
+        let html = `
+            <h3>Placeholder vs Final Paint (${strategy.label}${results.swapPolicy ? ', swap: ' + results.swapPolicy : ''})</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Image</th>
+                        <th>Payload</th>
+                        <th>Encode (ms, before run)</th>
+                        <th>Render (ms)</th>
+                        <th>Placeholder Paint (ms)</th>
+                        <th>High-res Requested (ms)</th>
+                        <th>High-res Loaded (ms)</th>
+                        <th>Swapped (ms)</th>
+                        <th>Final Paint (ms)</th>
+                        <th>Placeholder Shown For (ms)</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        const indexes = [...new Set(results.loadTimes.map(item => item.index))].sort((a, b) => a - b);
+        
+        indexes.forEach(index => {
+            const entry = results.placeholders.find(item => item.imageIndex === index);
+            const placeholder = entry && !entry.error ? entry : null;
+            const lowResLoad = results.loadTimes.find(item => item.index === index && item.type === 'low-res');
+            const placeholderPaint = paintTimeOf(index, 'low-res');
+            const finalPaint = paintTimeOf(index, 'high-res');
+            const swap = (results.swapEvents || []).find(item => item.imageIndex === index) || {};
+            
+            html += `
+                <tr>
+                    <td>Product Image ${index + 1}</td>
+                    <td>${placeholder ? `${placeholder.payloadBytes} bytes inline` : `${CONFIG.lqipSize} image${lowResLoad ? '' : ' (not loaded)'}`}${entry && entry.error ? `<br><span class="metric-poor">Placeholder failed: ${entry.error}</span>` : ''}</td>
+                    <td>${placeholder ? formatTime(placeholder.encodeTime) : 'N/A'}</td>
+                    <td>${placeholder ? formatTime(placeholder.renderTime) : 'N/A'}</td>
+                    <td>${formatTime(placeholderPaint)}</td>
+                    <td>${formatTime(swap.requestTime)}</td>
+                    <td>${formatTime(swap.loadTime)}</td>
+                    <td>${formatTime(swap.swapTime)}${typeof swap.decodeTime === 'number' ? `<br><small>after ${swap.decodeTime.toFixed(1)} ms decode</small>` : ''}</td>
+                    <td>${formatTime(finalPaint)}</td>
+                    <td>${placeholderPaint !== null && finalPaint !== null ? (finalPaint - placeholderPaint).toFixed(2) : 'N/A'}</td>
+                </tr>
+            `;
+        });
+        
+        const failures = results.placeholders.filter(item => item.error).length;
+        
+        html += `
+                </tbody>
+            </table>
+            ${failures > 0 ? `<p class="metric-poor">${failures} placeholder(s) could not be built and fell back to the ${CONFIG.lqipSize} image.</p>` : ''}
+            <p>Times are relative to the start of the run. Inline placeholders are encoded from the high-res image before the run starts, as a server would embed them;
+            rendering them (e.g. decoding a BlurHash) is part of the run.</p>
+        `;
+        
+        return html;
+    }
+    
+    /**
+     * Render the loading attributes of each image with its viewport entry vs paint
+     * ordering, plus the LCP values they produced
+     */
+    renderLoadingStrategyEffect(results) {
+        const runStart = results.runStartTime || 0;
+        const webVitals = this.metricsTracker.metrics.webVitals || {};
+        const customLCP = this.metricsTracker.customMetrics.customLCP;
+        const formatTime = (value) => typeof value === 'number' ? value.toFixed(2) : 'N/A';
+        
+        let html = `
+            <h3>Loading Strategy Effect</h3>
+            <p>Native LCP: <strong>${formatTime(webVitals.lcp && webVitals.lcp.value)} ms</strong> |
+               Custom LCP: <strong>${formatTime(customLCP && customLCP.value)} ms</strong></p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Image</th>
+                        <th>Attributes</th>
+                        <th>Viewport Entry (ms)</th>
+                        <th>Load Time (ms)</th>
+                        <th>Paint Time (ms)</th>
+                        <th>Ordering</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        results.loadingAttributes.forEach((attributes, index) => {
+            const attributeText = Object.entries(attributes).map(([name, value]) => `${name}="${value}"`).join(' ') || '(none)';
+            const viewportEntry = results.viewportDeltas.find(item => item.imageIndex === index);
+            
+            // Final image only: the high-res phase for LQIP, Element Timing where available
+            const loads = results.loadTimes.filter(item => item.index === index && item.type !== 'low-res');
+            const deltas = results.paintDeltas.filter(item => item.imageIndex === index && item.type !== 'low-res');
+            const delta = deltas.find(item => item.method === 'ElementTiming API') || deltas[0];
+            const paintTime = delta ? this.imageLoader.getNavigationInterval(delta).paint - runStart : null;
+            
+            let ordering;
+            if (loads.length === 0) {
+                ordering = 'Not loaded (deferred by lazy loading)';
+            } else if (!viewportEntry) {
+                ordering = 'Loaded without entering the viewport';
+            } else if (paintTime === null) {
+                ordering = 'No paint recorded';
+            } else if (paintTime >= viewportEntry.viewportTime) {
+                ordering = `Painted ${(paintTime - viewportEntry.viewportTime).toFixed(0)} ms after viewport entry`;
+            } else {
+                ordering = `Painted ${(viewportEntry.viewportTime - paintTime).toFixed(0)} ms before viewport entry`;
+            }
+            
+            html += `
+                <tr>
+                    <td>Product Image ${index + 1}</td>
+                    <td><code>${attributeText}</code></td>
+                    <td>${viewportEntry ? viewportEntry.viewportTime.toFixed(2) : 'Never'}</td>
+                    <td>${loads.length > 0 ? loads[0].time.toFixed(2) : 'N/A'}</td>
+                    <td>${formatTime(paintTime)}</td>
+                    <td>${ordering}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <p>Times in this table are relative to the start of the run. Compare runs with different strategies in the Run History below to see the LCP impact.</p>
+        `;
+        
+        return html;
+    }
+    
+    /**
+     * Render the time from viewport entry to paint for every image that scrolled
+     * into view, with the batch it was appended in
+     */
+    renderViewportToPaint(results) {
+        const entries = [...results.viewportDeltas].sort((a, b) => a.viewportTime - b.viewportTime);
+        const measured = entries.filter(item => typeof item.entryToPaint === 'number');
+        const waits = measured.filter(item => !item.paintedBeforeEntry).map(item => item.entryToPaint).sort((a, b) => a - b);
+        const batchOf = (index) => results.batches.find(batch => index >= batch.startIndex && index < batch.startIndex + batch.count);
+        
+        let html = `
+            <h3>Viewport Entry to Paint</h3>
+            <p>${entries.length} of ${results.productCount} images entered the viewport;
+               ${measured.length - waits.length} were already painted when they did.
+               ${waits.length > 0 ? `Others waited a median of <strong>${waits[Math.floor((waits.length - 1) / 2)].toFixed(0)} ms</strong> (max ${waits[waits.length - 1].toFixed(0)} ms).` : ''}</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Image</th>
+                        <th>Batch</th>
+                        <th>Viewport Entry (ms)</th>
+                        <th>Paint (ms)</th>
+                        <th>Entry to Paint (ms)</th>
+                        <th>Method</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        entries.forEach(item => {
+            const batch = batchOf(item.imageIndex);
+            let wait = 'Not painted';
+            if (item.paintedBeforeEntry) {
+                wait = '0 (painted before entry)';
+            } else if (typeof item.entryToPaint === 'number') {
+                wait = item.entryToPaint.toFixed(2);
+            }
+            
+            html += `
+                <tr>
+                    <td>Product Image ${item.imageIndex + 1}</td>
+                    <td>${batch ? `${batch.batch} (at ${batch.time.toFixed(0)} ms)` : 'N/A'}</td>
+                    <td>${item.viewportTime.toFixed(2)}</td>
+                    <td>${typeof item.paintTime === 'number' ? item.paintTime.toFixed(2) : 'N/A'}</td>
+                    <td>${wait}</td>
+                    <td>${item.paintMethod || 'N/A'}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <p>Times are relative to the start of the run. Paints are those of the final image (high-res in LQIP mode).</p>
+        `;
+        
+        return html;
+    }
+    
+    /**
+     * Render every attempt of images that were retried or failed
+     */
+    renderImageAttempts(records) {
+        const settings = this.imageLoader.getRetrySettings();
+        
+        let html = `
+            <h3>Failed and Retried Images</h3>
+            <p>Each attempt times out after ${settings.timeout > 0 ? settings.timeout + ' ms' : 'no limit'};
+               up to ${settings.retries} retries follow after ${settings.backoff} ms, doubling each time.</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Image</th>
+                        <th>Phase</th>
+                        <th>Attempts</th>
+                        <th>Result</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        records.forEach(record => {
+            const attempts = record.attempts.map(attempt => 
+                `#${attempt.attempt}: ${attempt.outcome || 'pending'} ` +
+                `(${attempt.start.toFixed(0)}${attempt.end !== null ? '–' + attempt.end.toFixed(0) : ''} ms)`
+            ).join('<br>');
+            
+            html += `
+                <tr>
+                    <td>Product Image ${record.imageIndex + 1}</td>
+                    <td>${record.type}</td>
+                    <td>${attempts}</td>
+                    <td class="${record.status === 'failed' ? 'image-failed' : 'image-retried'}">
+                        ${record.status === 'failed' ? 'Failed, fallback image shown' : record.status === 'retried' ? 'Loaded after retry' : record.status}
+                    </td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <p>Attempt times are relative to the start of the run.</p>
+        `;
+        
+        return html;
+    }
+    
+    /**
+     * Render the steps of a replayed interaction script with their timing
+     */
+    renderInteractionScript(script) {
+        let html = `
+            <h3>Interaction Script: ${HTMLText.escape(script.name)}</h3>
+            <p>Source: <code>${HTMLText.escape(script.source)}</code> | ran from ${script.startTime.toFixed(0)} ms to ${script.endTime !== null ? script.endTime.toFixed(0) + ' ms' : '(still running)'}</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Step</th>
+                        <th>Action</th>
+                        <th>Start (ms)</th>
+                        <th>Duration (ms)</th>
+                        <th>Status</th>
+                        <th>Details</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        script.steps.forEach(step => {
+            const details = [];
+            if (step.interaction) {
+                details.push(`processing ${step.interaction.processing.toFixed(2)} ms, next paint after ${step.interaction.latency.toFixed(2)} ms`);
+            }
+            if (typeof step.scrollY === 'number') details.push(`scrollY ${step.scrollY}px`);
+            if (step.viewport) details.push(`requested ${step.requested}, viewport ${step.viewport}`);
+            if (step.error) details.push(step.error);
+            
+            // Script text comes from the ?script= URL parameter
+            html += `
+                <tr>
+                    <td>${step.step}</td>
+                    <td>${HTMLText.escape(step.description)}</td>
+                    <td>${step.startTime.toFixed(2)}</td>
+                    <td>${step.duration !== null ? step.duration.toFixed(2) : 'N/A'}</td>
+                    <td>${step.status}</td>
+                    <td>${HTMLText.escape(details.join('; '))}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <p>Times are relative to the start of the run. Scripted clicks are synthetic events, which the Event Timing API ignores:
+               their latency is timed here (click to next frame) and native INP only reflects real input.</p>
+        `;
+        
+        return html;
+    }
+    
+    /**
+     * Render long animation frames / long tasks and the image paints they delayed
+     */
+    renderLongFrames(results) {
+        const frameType = results.longFrames[0].entryType === 'long-animation-frame' ? 'Long Animation Frames' : 'Long Tasks';
+        
+        let html = `
+            <h3>${frameType} During Image Loading</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Start (ms)</th>
+                        <th>Duration (ms)</th>
+                        <th>Blocking (ms)</th>
+                        <th>Scripts</th>
+                        <th>Delayed Paints</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        results.longFrames.forEach(frame => {
+            const scripts = frame.scripts.slice(0, 3).map(script => {
+                const file = script.sourceURL ? script.sourceURL.split('/').pop().split('?')[0] : '';
+                const name = script.sourceFunctionName || script.invoker || 'anonymous';
+                return `${file ? file + ':' : ''}${name} (${script.duration.toFixed(0)} ms${script.invokerType ? ', ' + script.invokerType : ''})`;
+            }).join('<br>');
+            
+            const delayedPaints = results.paintDeltas
+                .filter(delta => (delta.longFrames || []).some(item => item.startTime === frame.startTime))
+                .map(delta => `Image ${delta.imageIndex + 1} (${delta.type || 'standard'}, ${delta.method})`);
+            
+            html += `
+                <tr>
+                    <td>${frame.startTime.toFixed(2)}</td>
+                    <td>${frame.duration.toFixed(2)}</td>
+                    <td>${frame.blockingDuration.toFixed(2)}</td>
+                    <td>${scripts || 'No script attribution'}</td>
+                    <td>${[...new Set(delayedPaints)].join('<br>') || '-'}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+        `;
+        
+        return html;
+    }
+    
+    /**
+     * Render the format each <picture> resolved to with its size, ready and paint timing
+     */
+    renderFormatSelections(results) {
+        let html = `
+            <h3>Format Negotiation (&lt;picture&gt;)</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Image</th>
+                        <th>Chosen Format</th>
+                        <th>Offered</th>
+                        <th>Transfer (KB)</th>
+                        <th>Load Time (ms)</th>
+                        <th>Ready After Load (ms)</th>
+                        <th>Load → Paint (ms)</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        const byFormat = {};
+        
+        [...results.formatSelections].sort((a, b) => a.imageIndex - b.imageIndex).forEach(selection => {
+            const timing = (results.resourceTimings || []).find(item => item.imageIndex === selection.imageIndex);
+            const deltas = results.paintDeltas.filter(item => item.imageIndex === selection.imageIndex);
+            const delta = deltas.find(item => item.method === 'ElementTiming API') || deltas[0];
+            const bytes = timing ? (timing.encodedBodySize || timing.transferSize) : null;
+            
+            if (!byFormat[selection.format]) byFormat[selection.format] = { count: 0, bytes: 0 };
+            byFormat[selection.format].count++;
+            byFormat[selection.format].bytes += bytes || 0;
+            
+            html += `
+                <tr>
+                    <td>Product Image ${selection.imageIndex + 1}</td>
+                    <td><strong>${selection.format.toUpperCase()}</strong></td>
+                    <td>${selection.offeredFormats.join(', ')}</td>
+                    <td>${bytes !== null ? (bytes / 1024).toFixed(1) : 'N/A'}</td>
+                    <td>${selection.loadTime.toFixed(2)}</td>
+                    <td>${selection.decodeTime !== null ? selection.decodeTime.toFixed(2) : 'N/A'}</td>
+                    <td>${delta ? `${delta.delta.toFixed(2)} (${delta.method})` : 'N/A'}</td>
+                </tr>
+            `;
+        });
+        
+        const summary = Object.keys(byFormat)
+            .map(format => `${format.toUpperCase()}: ${byFormat[format].count} image(s), ${(byFormat[format].bytes / 1024).toFixed(1)} KB`)
+            .join('; ');
+        
+        html += `
+                </tbody>
+            </table>
+            <p>${summary}. Formats the image source can't encode are left out of the <code>&lt;source&gt;</code> list.
+            Ready after load is the <code>img.decode()</code> time from the load event, as in the paint timing table.</p>
+        `;
+        
+        return html;
+    }
+    
+    /**
+     * Render the image candidate each product ended up with and its wasted bytes/pixels
+     */
+    renderImageSelections(selections) {
+        const toKB = (bytes) => bytes !== null ? (bytes / 1024).toFixed(1) : 'N/A';
+        
+        let html = `
+            <h3>Image Selection (natural vs displayed size)</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Image</th>
+                        <th>Chosen Candidate</th>
+                        <th>Natural Size</th>
+                        <th>Displayed Size (CSS px @ DPR)</th>
+                        <th>Needed Width</th>
+                        <th>Wasted Pixels</th>
+                        <th>Transfer (KB)</th>
+                        <th>Wasted (KB, est.)</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        [...selections].sort((a, b) => a.index - b.index).forEach(selection => {
+            let candidate = selection.usedSrcset ? (selection.chosenDescriptor || 'unknown') : 'fixed src';
+            if (selection.usedSrcset && selection.idealDescriptor && selection.idealDescriptor !== selection.chosenDescriptor) {
+                candidate += ` <small>(ideal: ${selection.idealDescriptor})</small>`;
+            }
+            
+            const wasteClass = selection.wastedPixelRatio > 0.5 ? 'metric-poor' :
+                               selection.wastedPixelRatio > 0.2 ? 'metric-average' : 'metric-good';
+            
+            html += `
+                <tr>
+                    <td>Product Image ${selection.index + 1}</td>
+                    <td>${candidate}</td>
+                    <td>${selection.naturalWidth}×${selection.naturalHeight}</td>
+                    <td>${selection.displayedWidth}×${selection.displayedHeight} @${selection.devicePixelRatio}x</td>
+                    <td>${selection.requiredWidth}px</td>
+                    <td class="${wasteClass}">${selection.wastedPixels.toLocaleString()} (${(selection.wastedPixelRatio * 100).toFixed(0)}%)</td>
+                    <td>${toKB(selection.bytes)}</td>
+                    <td>${toKB(selection.wastedBytes)}</td>
+                </tr>
+            `;
+        });
+        
+        const totalBytes = selections.reduce((sum, selection) => sum + (selection.bytes || 0), 0);
+        const totalWasted = selections.reduce((sum, selection) => sum + (selection.wastedBytes || 0), 0);
+        
+        html += `
+                </tbody>
+            </table>
+            <p>Total: ${toKB(totalBytes)} KB transferred, about ${toKB(totalWasted)} KB (${totalBytes ? (totalWasted / totalBytes * 100).toFixed(0) : 0}%) spent on pixels the display can't show.
+            Needed width accounts for <code>object-fit</code> and the device pixel ratio.</p>
+        `;
+        
+        return html;
+    }
+    
+    /**
+     * Render per-image resource timing as a waterfall on the navigation-start axis
+     */
+    renderWaterfall(results) {
+        const runStart = results.runStartTime || 0;
+        
+        const rows = results.resourceTimings.map(timing => {
+            const loadEntry = results.loadTimes.find(item => 
+                item.index === timing.imageIndex && (item.type || 'standard') === timing.type
+            );
+            const paintEntry = results.paintDeltas.find(item => 
+                item.imageIndex === timing.imageIndex && (item.type || 'standard') === timing.type
+            );
+            const generation = timing.serverTiming.find(item => item.name === 'gen');
+            
+            return {
+                ...timing,
+                loadEventTime: loadEntry ? loadEntry.time + runStart : null,
+                paintTime: paintEntry ? this.imageLoader.getNavigationInterval(paintEntry, runStart).paint : null,
+                generationTime: generation ? generation.duration : null
+            };
+        }).sort((a, b) => a.startTime - b.startTime);
+        
+        const scaleEnd = Math.max(...rows.map(row => Math.max(row.responseEnd, row.loadEventTime || 0, row.paintTime || 0))) * 1.05;
+        const percent = (time) => `${(time / scaleEnd * 100).toFixed(2)}%`;
+        const segment = (start, end, className, title) => end > start
+            ? `<div class="waterfall-segment ${className}" style="left: ${percent(start)}; width: ${percent(end - start)}" title="${title}: ${(end - start).toFixed(1)} ms"></div>`
+            : '';
+        
+        let html = `
+            <h3>Network Waterfall (relative to navigation start)</h3>
+            <p>
+                <span class="waterfall-legend seg-connect"></span> Queue/DNS/connect
+                <span class="waterfall-legend seg-request"></span> Request (time to first byte)
+                <span class="waterfall-legend seg-response"></span> Download
+                <span class="waterfall-legend seg-render"></span> Response end → paint
+                | load event marked with a line
+            </p>
+            <div class="waterfall">
+        `;
+        
+        rows.forEach(row => {
+            let bars = '';
+            
+            if (row.hasDetail) {
+                bars += segment(row.startTime, row.requestStart, 'seg-connect', 'Queue/DNS/connect');
+                bars += segment(row.requestStart, row.responseStart, 'seg-request', 'Request (TTFB)');
+                bars += segment(row.responseStart, row.responseEnd, 'seg-response', 'Download');
+            } else {
+                bars += segment(row.startTime, row.responseEnd, 'seg-connect', 'Fetch (no phase detail)');
+            }
+            
+            if (row.paintTime !== null) {
+                bars += segment(row.responseEnd, row.paintTime, 'seg-render', 'Response end → paint');
+            }
+            
+            if (row.loadEventTime !== null) {
+                bars += `<div class="waterfall-marker" style="left: ${percent(row.loadEventTime)}" title="load event at ${row.loadEventTime.toFixed(1)} ms"></div>`;
+            }
+            
+            html += `
+                <div class="waterfall-row">
+                    <div class="waterfall-label">Image ${row.imageIndex + 1} (${row.type})</div>
+                    <div class="waterfall-track">${bars}</div>
+                </div>
+            `;
+        });
+        
+        html += `
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Image</th>
+                        <th>Resolution</th>
+                        <th>Start (ms)</th>
+                        <th>DNS / Connect / TLS (ms)</th>
+                        <th>TTFB (ms)</th>
+                        <th>Download (ms)</th>
+                        <th>Network Total (ms)</th>
+                        <th>Render Gap (ms)</th>
+                        <th>Transfer (KB)</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        const format = (value) => value !== null ? value.toFixed(2) : 'N/A';
+        
+        rows.forEach(row => {
+            const ttfb = row.hasDetail ? row.responseStart - row.startTime : null;
+            const renderGap = row.paintTime !== null ? row.paintTime - row.responseEnd : null;
+            
+            html += `
+                <tr>
+                    <td>Product Image ${row.imageIndex + 1}</td>
+                    <td>${row.type}</td>
+                    <td>${row.startTime.toFixed(2)}</td>
+                    <td>${row.dns.toFixed(1)} / ${row.connect.toFixed(1)} / ${row.tls.toFixed(1)}</td>
+                    <td>${format(ttfb)}${row.generationTime !== null ? `<br><small>incl. ${row.generationTime.toFixed(1)} ms generation</small>` : ''}</td>
+                    <td>${row.hasDetail ? row.response.toFixed(2) : 'N/A'}</td>
+                    <td>${(row.responseEnd - row.startTime).toFixed(2)}</td>
+                    <td>${format(renderGap)}</td>
+                    <td>${row.transferSize ? (row.transferSize / 1024).toFixed(1) : (row.encodedBodySize / 1024).toFixed(1)}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <p>Network total is request start to last byte. Render gap is last byte to detected paint, i.e. decode, layout and paint time.</p>
+        `;
+        
+        return html;
+    }
+    
+    /**
+     * Show progress of a running batch
+     */
+    displayBatchProgress(progress) {
+        const container = document.getElementById('batch-results');
+        if (!container) return;
+        
+        container.style.display = '';
+        container.innerHTML = `
+            <h2>Batch Test</h2>
+            <p>Run <strong>${progress.position + 1}</strong> of <strong>${progress.total}</strong>:
+               ${progress.run.imageSize} / ${progress.run.imageType} (iteration ${progress.run.iteration + 1})</p>
+            <button id="cancel-batch">Cancel Batch</button>
+        `;
+        
+        document.getElementById('cancel-batch').addEventListener('click', () => {
+            if (window.batchRunner) window.batchRunner.cancel();
+        });
+    }
+    
+    /**
+     * Display the statistical summary of a finished batch
+     */
+    displayBatchSummary(summary) {
+        const container = document.getElementById('batch-results');
+        if (!container) return;
+        
+        const metricLabels = {
+            loadTime: 'Load Time (mean per run)',
+            paintDelta: 'Load → Paint Delta (mean per run)',
+            nativeLCP: 'Native LCP',
+            customLCP: 'Custom LCP',
+            lcs: 'LCS Completion'
+        };
+        
+        const formatValue = (value) => value.toFixed(2);
+        
+        let html = `
+            <h2>Batch Test Summary</h2>
+            <p>Started: <strong>${new Date(summary.startedAt).toLocaleString()}</strong>,
+               ${summary.completedRuns} of ${summary.plannedRuns} runs completed
+               (${summary.runsPerCombination} per combination)${summary.cancelled ? ' - <strong>cancelled</strong>' : ''}</p>
+            ${summary.sizeNote ? `<p>${summary.sizeNote}</p>` : ''}
+        `;
+        
+        summary.combinations.forEach(combination => {
+            html += `
+                <h3>${combination.imageSize} / ${combination.imageType}</h3>
+                <p>${combination.runs} runs${combination.timedOut ? `, ${combination.timedOut} timed out` : ''}</p>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Metric (ms)</th>
+                            <th>Samples</th>
+                            <th>Median</th>
+                            <th>p75</th>
+                            <th>p95</th>
+                            <th>Std Dev</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+            `;
+            
+            Object.keys(metricLabels).forEach(name => {
+                const stats = combination.stats[name];
+                html += stats ? `
+                    <tr>
+                        <td>${metricLabels[name]}</td>
+                        <td>${stats.count}</td>
+                        <td>${formatValue(stats.median)}</td>
+                        <td>${formatValue(stats.p75)}</td>
+                        <td>${formatValue(stats.p95)}</td>
+                        <td>${formatValue(stats.stdDev)}</td>
+                    </tr>
+                ` : `
+                    <tr>
+                        <td>${metricLabels[name]}</td>
+                        <td>0</td>
+                        <td colspan="4">No data</td>
+                    </tr>
+                `;
+            });
+            
+            html += `
+                    </tbody>
+                </table>
+            `;
+        });
+        
+        html += '<button id="clear-batch">Clear Batch Results</button>';
+        
+        container.style.display = '';
+        container.innerHTML = html;
+        
+        document.getElementById('clear-batch').addEventListener('click', () => {
+            if (window.batchRunner) window.batchRunner.clear();
+            container.style.display = 'none';
+            container.innerHTML = '';
+        });
+    }
+    
+    /**
+     * Show the state of the current soft run above its frame
+     */
+    displaySoftRunStatus(text) {
+        const section = document.getElementById('soft-run');
+        const status = document.getElementById('soft-run-status');
+        if (!section || !status) return;
+        
+        section.style.display = '';
+        status.textContent = text;
+    }
+    
+    /**
+     * Forget the previous soft run when a new one starts
+     */
+    startSoftRun(runId) {
+        this.softRun = { runId: runId, historyId: null };
+    }
+    
+    /**
+     * Store a soft run's results in the run history
+     * The frame shows its own tables; the page only keeps the history
+     */
+    recordSoftRun(runId, results, metrics, viewport) {
+        if (!this.runHistory) return;
+        
+        this.softRun = { runId: runId, historyId: this.runHistory.addRun(results, metrics, viewport) };
+        this.renderRunHistory();
+    }
+    
+    /**
+     * Keep the stored soft run in sync with late metric updates from its frame
+     * Updates from another run, or from before the results were stored, are ignored
+     */
+    updateSoftRunMetrics(runId, metrics) {
+        if (!this.runHistory || !this.softRun || this.softRun.runId !== runId || !this.softRun.historyId) return;
+        
+        this.runHistory.updateMetrics(this.softRun.historyId, metrics);
+    }
+    
+    /**
+     * Render the stored run list with run selectors for comparison
+     */
+    renderRunHistory(selectedA, selectedB) {
+        if (!this.historyContainer || !this.runHistory) return;
+        
+        const runs = this.runHistory.getRuns();
+        
+        if (runs.length === 0) {
+            this.historyContainer.innerHTML = '<h2>Run History</h2><p>No runs stored yet.</p>';
+            return;
+        }
+        
+        // Default to comparing the two most recent runs
+        const idA = selectedA || (runs.length > 1 ? runs[runs.length - 2].id : runs[0].id);
+        const idB = selectedB || runs[runs.length - 1].id;
+        
+        const describeRun = (run) => 
+            `${new Date(run.timestamp).toLocaleString()} - ${run.settings.imageSize} / ${run.settings.imageType}` +
+            `${run.settings.imageSource ? ' / ' + run.settings.imageSource : ''}` +
+            `${run.settings.loadingStrategy && run.settings.loadingStrategy !== 'default' ? ' / ' + run.settings.loadingStrategy : ''}` +
+            `${run.settings.placeholderStrategy ? ' / ' + run.settings.placeholderStrategy : ''}` +
+            `${run.settings.swapPolicy ? ' / swap: ' + run.settings.swapPolicy : ''}` +
+            `${run.settings.productCount ? ` / ${run.settings.productCount} products, ${run.settings.layout}` : ''}` +
+            `${run.settings.scenario === 'infinite-scroll' ? ' / infinite scroll' : ''}` +
+            `${run.settings.autoScroll ? ' / auto-scroll: ' + run.settings.autoScroll : ''}` +
+            `${run.settings.interactionScript ? ' / script: ' + run.settings.interactionScript : ''}` +
+            `${run.settings.runMode === 'soft' ? ' / soft run' : ''}`;
+        
+        const options = (selectedId) => [...runs].reverse().map(run => 
+            `<option value="${run.id}" ${run.id === selectedId ? 'selected' : ''}>${HTMLText.escape(describeRun(run))}</option>`
+        ).join('');
+        
+        let html = `
+            <h2>Run History</h2>
+            <p>${runs.length} stored run${runs.length === 1 ? '' : 's'} (latest ${this.runHistory.maxRuns} kept)</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Time</th>
+                        <th>Settings</th>
+                        <th>Native LCP (ms)</th>
+                        <th>Custom LCP (ms)</th>
+                        <th>LCS (ms)</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        const formatMetric = (value) => typeof value === 'number' ? value.toFixed(2) : 'N/A';
+        
+        [...runs].reverse().forEach(run => {
+            const metrics = run.metrics || {};
+            const webVitals = metrics.webVitals || {};
+            
+            html += `
+                <tr>
+                    <td>${new Date(run.timestamp).toLocaleString()}</td>
+                    <td>${run.settings.imageSize} / ${run.settings.imageType}${run.settings.loadingStrategy ? ' / ' + run.settings.loadingStrategy : ''}${run.settings.networkConditions ? '<br>Network: ' + run.settings.networkConditions : ''}</td>
+                    <td>${formatMetric(webVitals.lcp && webVitals.lcp.value)}</td>
+                    <td>${formatMetric(metrics.customLCP && metrics.customLCP.value)}</td>
+                    <td>${formatMetric(metrics.lcs && metrics.lcs.lastPaintTime)}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            
+            <h3>Compare Runs</h3>
+            <label for="compare-run-a">Run A:</label>
+            <select id="compare-run-a">${options(idA)}</select>
+            <label for="compare-run-b">Run B:</label>
+            <select id="compare-run-b">${options(idB)}</select>
+            <button id="clear-history">Clear History</button>
+            <div id="run-comparison"></div>
+        `;
+        
+        this.historyContainer.innerHTML = html;
+        
+        const selectA = document.getElementById('compare-run-a');
+        const selectB = document.getElementById('compare-run-b');
+        const updateComparison = () => this.renderRunComparison(selectA.value, selectB.value);
+        
+        selectA.addEventListener('change', updateComparison);
+        selectB.addEventListener('change', updateComparison);
+        
+        document.getElementById('clear-history').addEventListener('click', () => {
+            this.runHistory.clear();
+            this.currentRunId = null;
+            this.renderRunHistory();
+        });
+        
+        updateComparison();
+    }
+    
+    /**
+     * Render a metric-by-metric diff of two stored runs
+     */
+    renderRunComparison(idA, idB) {
+        const container = document.getElementById('run-comparison');
+        if (!container) return;
+        
+        const comparison = this.runHistory.compareRuns(idA, idB);
+        if (!comparison) {
+            container.innerHTML = '<p>Select two runs to compare.</p>';
+            return;
+        }
+        
+        if (idA === idB) {
+            container.innerHTML = '<p>Select two different runs to compare.</p>';
+            return;
+        }
+        
+        const formatValue = (value, unit) => {
+            if (value === null) return 'N/A';
+            return unit === '' ? value.toFixed(4) : value.toFixed(2);
+        };
+        
+        let html = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Metric</th>
+                        <th>Run A</th>
+                        <th>Run B</th>
+                        <th>Change (B - A)</th>
+                        <th>Change %</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        comparison.rows.forEach(row => {
+            // All compared metrics are lower-is-better
+            let changeClass = '';
+            if (row.delta !== null && row.delta !== 0) {
+                changeClass = row.delta < 0 ? 'metric-good' : 'metric-poor';
+            }
+            
+            html += `
+                <tr>
+                    <td>${row.name}</td>
+                    <td>${formatValue(row.valueA, row.unit)}</td>
+                    <td>${formatValue(row.valueB, row.unit)}</td>
+                    <td class="${changeClass}">${row.delta !== null ? (row.delta > 0 ? '+' : '') + formatValue(row.delta, row.unit) : 'N/A'}</td>
+                    <td class="${changeClass}">${row.deltaPercent !== null ? (row.deltaPercent > 0 ? '+' : '') + row.deltaPercent.toFixed(1) + '%' : 'N/A'}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <p>Green means run B is faster (or shifted less) than run A, red means it got worse.</p>
+        `;
+        
+        container.innerHTML = html;
+    }
 }
\ No newline at end of file
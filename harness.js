@@ -0,0 +1,326 @@
+/**
+ * Viewport Harness
+ * Runs the demo in one frame per viewport size, one frame at a time, and collects
+ * what each frame reports through RunReporter (resultsReady, metricsUpdate)
+ * so viewport-dependent numbers (viewportDeltas, LCS) can be compared side by side
+ */
+class ViewportHarness {
+    constructor() {
+        this.imageSize = document.getElementById('image-size');
+        this.imageType = document.getElementById('image-type');
+        this.viewportsEl = document.getElementById('harness-viewports');
+        this.statusEl = document.getElementById('harness-status');
+        this.resultsEl = document.getElementById('harness-results');
+        this.framesEl = document.getElementById('harness-frames');
+        
+        this.runs = [];
+        this.current = null;
+        this.settleTimer = null;
+        this.timeoutTimer = null;
+        
+        this.renderViewportChoices();
+        this.restoreSettings();
+        
+        window.addEventListener('message', (event) => this.handleMessage(event));
+        
+        document.getElementById('run-harness').addEventListener('click', () => this.start());
+        document.getElementById('export-harness').addEventListener('click', () => this.exportJSON());
+    }
+    
+    /**
+     * One checkbox per configured viewport
+     */
+    renderViewportChoices() {
+        this.viewportsEl.innerHTML = Object.entries(CONFIG.viewports).map(([name, viewport]) => `
+            <label><input type="checkbox" name="viewport" value="${name}" checked> ${viewport.label} (${viewport.width}×${viewport.height})</label>
+        `).join('');
+    }
+    
+    /**
+     * Take size and type from this page's URL, like the demo page does
+     */
+    restoreSettings() {
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.get('imageSize')) this.imageSize.value = urlParams.get('imageSize');
+        if (urlParams.get('imageType')) this.imageType.value = urlParams.get('imageType');
+    }
+    
+    /**
+     * Build a frame URL: this page's parameters plus the chosen size and type
+     */
+    buildFrameUrl(runId) {
+        const url = new URL(CONFIG.pageUrl, window.location.href);
+        new URLSearchParams(window.location.search).forEach((value, name) => url.searchParams.set(name, value));
+        url.searchParams.set('imageSize', this.imageSize.value);
+        url.searchParams.set('imageType', this.imageType.value);
+        url.searchParams.set('runMode', 'soft');
+        url.searchParams.set('softRun', runId);
+        return url.toString();
+    }
+    
+    /**
+     * Run every selected viewport in turn, replacing earlier results
+     */
+    start() {
+        const selected = Array.from(this.viewportsEl.querySelectorAll('input[name="viewport"]:checked'))
+            .map(input => input.value);
+        if (selected.length === 0) {
+            this.statusEl.textContent = 'Select at least one viewport.';
+            return;
+        }
+        
+        this.stop();
+        this.framesEl.innerHTML = '';
+        this.runs = selected.map(name => ({
+            viewport: name,
+            width: CONFIG.viewports[name].width,
+            height: CONFIG.viewports[name].height,
+            imageSize: this.imageSize.value,
+            imageType: this.imageType.value,
+            runId: `harness-${name}-${Date.now()}`,
+            status: 'queued',
+            frameViewport: null,
+            resizes: [],
+            results: null,
+            metrics: null,
+            metricsUpdates: 0
+        }));
+        
+        this.render();
+        this.runNext();
+    }
+    
+    /**
+     * Cancel the run in progress (earlier frames and results stay)
+     */
+    stop() {
+        clearTimeout(this.settleTimer);
+        clearTimeout(this.timeoutTimer);
+        this.settleTimer = null;
+        this.timeoutTimer = null;
+        this.current = null;
+    }
+    
+    /**
+     * Start the next queued viewport, or finish
+     */
+    runNext() {
+        const run = this.runs.find(item => item.status === 'queued');
+        if (!run) {
+            this.current = null;
+            this.statusEl.textContent = `Finished ${this.runs.length} viewport${this.runs.length === 1 ? '' : 's'} at ${new Date().toLocaleTimeString()}.`;
+            return;
+        }
+        
+        this.current = run;
+        run.status = 'running';
+        
+        const wrapper = document.createElement('div');
+        wrapper.className = 'harness-frame';
+        wrapper.innerHTML = `<h3>${CONFIG.viewports[run.viewport].label} (${run.width}×${run.height})</h3>`;
+        
+        run.frame = document.createElement('iframe');
+        run.frame.title = `${CONFIG.viewports[run.viewport].label} viewport`;
+        run.frame.width = run.width;
+        run.frame.height = run.height;
+        run.frame.src = this.buildFrameUrl(run.runId);
+        wrapper.appendChild(run.frame);
+        this.framesEl.appendChild(wrapper);
+        
+        this.timeoutTimer = setTimeout(() => {
+            run.status = 'timed out';
+            console.warn(`Harness frame ${run.viewport} did not report results within ${CONFIG.runTimeout}ms`);
+            this.render();
+            this.runNext();
+        }, CONFIG.runTimeout);
+        
+        this.statusEl.textContent = `Running ${CONFIG.viewports[run.viewport].label} (${this.runs.indexOf(run) + 1} of ${this.runs.length})...`;
+        this.render();
+    }
+    
+    /**
+     * Handle messages from the frames: reports from RunReporter and
+     * resize requests from scripted "resize" steps (see InteractionScript)
+     */
+    handleMessage(event) {
+        if (event.origin !== window.location.origin) return;
+        
+        const run = this.runs.find(item => item.frame && item.frame.contentWindow === event.source);
+        const data = event.data;
+        if (!run || !data) return;
+        
+        if (data.type === 'resize-viewport') {
+            this.resizeFrame(run, data.width, data.height);
+            return;
+        }
+        
+        if (data.source !== RunReporter.MESSAGE_SOURCE || data.runId !== run.runId) return;
+        
+        switch (data.type) {
+            case 'runStarted':
+                run.frameViewport = data.viewport;
+                break;
+            case 'resultsReady':
+                run.results = data.results;
+                run.metrics = data.metrics;
+                run.frameViewport = data.viewport;
+                if (run === this.current) this.settle(run);
+                break;
+            case 'metricsUpdate':
+                run.metrics = data.metrics;
+                run.metricsUpdates++;
+                break;
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Give a finished frame settleDelay for late metric updates, then move on
+     */
+    settle(run) {
+        clearTimeout(this.timeoutTimer);
+        this.timeoutTimer = null;
+        run.status = 'settling';
+        
+        this.settleTimer = setTimeout(() => {
+            this.settleTimer = null;
+            run.status = 'done';
+            this.render();
+            this.runNext();
+        }, CONFIG.settleDelay);
+    }
+    
+    /**
+     * Resize a frame at its page's request and note it with the run
+     */
+    resizeFrame(run, width, height) {
+        width = parseInt(width);
+        height = parseInt(height);
+        if (!width || !height) return;
+        
+        run.frame.width = width;
+        run.frame.height = height;
+        run.resizes.push({ width, height, time: new Date().toISOString() });
+        console.log(`Harness frame ${run.viewport} resized to ${width}×${height}`);
+        this.render();
+    }
+    
+    /**
+     * Summarize one frame's data for the comparison table
+     */
+    summarize(run) {
+        const results = run.results || {};
+        const metrics = run.metrics || {};
+        const webVitals = metrics.webVitals || {};
+        const lcs = metrics.lcs || { elements: [] };
+        const loadTimes = (results.loadTimes || []).map(item => item.time).sort((a, b) => a - b);
+        
+        return {
+            nativeLCP: webVitals.lcp ? webVitals.lcp.value : null,
+            customLCP: metrics.customLCP ? metrics.customLCP.value : null,
+            lcsCompletion: lcs.lastPaintTime,
+            lcsImages: lcs.elements
+                .filter(item => item.index !== undefined)
+                .map(item => Number(item.index) + 1),
+            lcsElements: lcs.elements.length,
+            lcsDefinitions: Object.entries(metrics.lcsDefinitions || {})
+                .filter(([name]) => name !== 'threshold')
+                .map(([name, definition]) => ({ label: definition.label, lastPaintTime: definition.lastPaintTime })),
+            viewportImages: (results.viewportDeltas || []).map(item => item.imageIndex + 1).sort((a, b) => a - b),
+            cls: webVitals.cls ? webVitals.cls.value : null,
+            medianLoad: loadTimes.length > 0 ? loadTimes[Math.floor((loadTimes.length - 1) / 2)] : null
+        };
+    }
+    
+    /**
+     * Render the per-viewport comparison table
+     */
+    render() {
+        if (this.runs.length === 0) {
+            this.resultsEl.innerHTML = '';
+            return;
+        }
+        
+        const ms = (value) => typeof value === 'number' ? `${value.toFixed(2)} ms` : 'N/A';
+        const list = (values) => values.length > 0 ? values.map(value => `#${value}`).join(', ') : 'none';
+        
+        const rows = this.runs.map(run => {
+            const summary = this.summarize(run);
+            const frameViewport = run.frameViewport
+                ? `${run.frameViewport.width}×${run.frameViewport.height}`
+                : `${run.width}×${run.height}`;
+            
+            return `
+                <tr>
+                    <td>${CONFIG.viewports[run.viewport].label}<br><small>${frameViewport}${run.resizes.length > 0 ? `, resized ${run.resizes.length}×` : ''}</small></td>
+                    <td class="harness-${run.status.replace(' ', '-')}">${run.status}</td>
+                    <td>${ms(summary.nativeLCP)}</td>
+                    <td>${ms(summary.customLCP)}</td>
+                    <td>${ms(summary.lcsCompletion)}<br><small>${summary.lcsElements} element${summary.lcsElements === 1 ? '' : 's'}: ${list(summary.lcsImages)}</small>${summary.lcsDefinitions.map(definition => `<br><small>${definition.label}: ${ms(definition.lastPaintTime)}</small>`).join('')}</td>
+                    <td>${summary.viewportImages.length}<br><small>${list(summary.viewportImages)}</small></td>
+                    <td>${typeof summary.cls === 'number' ? summary.cls.toFixed(4) : 'N/A'}</td>
+                    <td>${ms(summary.medianLoad)}</td>
+                    <td>${run.metricsUpdates}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        this.resultsEl.innerHTML = `
+            <h2>Results by Viewport</h2>
+            <p>Image size: <strong>${this.runs[0].imageSize}</strong>, loading type: <strong>${this.runs[0].imageType}</strong>.
+               LCS images and images entering the viewport are product numbers.</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Viewport</th>
+                        <th>Status</th>
+                        <th>Native LCP</th>
+                        <th>Custom LCP</th>
+                        <th>LCS Completion</th>
+                        <th>Images Entering Viewport</th>
+                        <th>CLS</th>
+                        <th>Median Image Load</th>
+                        <th>Metric Updates</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * Download everything the frames reported
+     */
+    exportJSON() {
+        const report = {
+            generatedAt: new Date().toISOString(),
+            page: window.location.href,
+            userAgent: navigator.userAgent,
+            runs: this.runs.map(run => ({
+                viewport: run.viewport,
+                width: run.width,
+                height: run.height,
+                frameViewport: run.frameViewport,
+                resizes: run.resizes,
+                status: run.status,
+                imageSize: run.imageSize,
+                imageType: run.imageType,
+                summary: this.summarize(run),
+                results: run.results,
+                metrics: run.metrics
+            }))
+        };
+        
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `paint-timing-viewports-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * HTML Text
+ * Shared helpers for putting untrusted text (catalog entries, script names,
+ * stored run settings) into HTML built from template strings
+ */
+class HTMLText {
+    /**
+     * Escape text for use in HTML content and attribute values
+     */
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
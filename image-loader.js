@@ -3,26 +3,65 @@
  * Combines image loading and viewport tracking functionality
  */
 class ImageLoader {
-    constructor(metricsTracker) {
+    constructor(metricsTracker, imageSource) {
         // Store reference to metrics tracker
         this.metricsTracker = metricsTracker;
         
+        // Where product images are served from (local generator or picsum)
+        this.imageSource = imageSource || new ImageSource();
+        
+        // Modern formats the image source can serve (filled in by loadImages)
+        this.modernFormats = [];
+        
+        // Products to render: built-in, or a JSON catalog (filled in by loadImages)
+        this.catalog = new ProductCatalog();
+        this.products = this.catalog.products;
+        
+        // Scripted scrolling for below-the-fold scenarios
+        this.autoScroller = new AutoScroller();
+        
+        // Scripted interactions replayed during the run (see InteractionScript)
+        this.interactionScript = new InteractionScript(metricsTracker);
+        
+        // Infinite scroll: products rendered so far and the sentinel that appends more
+        this.renderedCount = 0;
+        this.scrollSentinel = null;
+        this.sentinelObserver = null;
+        
+        // Placeholder strategies for LQIP mode and their prepared payloads
+        this.placeholders = new PlaceholderGenerator(this.imageSource);
+        this.preparedPlaceholders = [];
+        
         // DOM references
         this.productContainer = document.getElementById('product-container');
         this.results = document.getElementById('results');
         this.imageSize = document.getElementById('image-size');
         this.imageType = document.getElementById('image-type');
+        this.loadingStrategy = document.getElementById('loading-strategy');
+        this.placeholderStrategy = document.getElementById('placeholder-strategy');
+        this.swapPolicy = document.getElementById('swap-policy');
+        this.layout = document.getElementById('layout');
+        this.scenario = document.getElementById('scenario');
+        this.autoScroll = document.getElementById('auto-scroll');
+        this.scriptSelect = document.getElementById('interaction-script');
         
         // Timings storage
         this.timingData = {
             startTime: 0,
             imageLoadTimes: [],
             paintDeltas: [],
-            viewportDeltas: []
+            viewportDeltas: [],
+            formatSelections: [],
+            placeholders: [],
+            swapEvents: [],
+            decodeTimings: [],
+            batches: [],
+            imageAttempts: []
         };
         
         // Viewport tracking
         this.viewportObserver = null;
+        this.viewportCallbacks = {};
         this.intersectionLog = [];
         
         // Event system
@@ -46,11 +85,18 @@ class ImageLoader {
         }
     }
     
+    /**
+     * Generate a unique cache-busting query parameter
+     */
+    createCacheBuster() {
+        return `cache=${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+    }
+    
     /**
      * Generate a cache-busting URL for images
      */
     getCacheBustingUrl(baseUrl) {
-        const cacheBuster = `cache=${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+        const cacheBuster = this.createCacheBuster();
         return baseUrl.includes('?') ? `${baseUrl}&${cacheBuster}` : `${baseUrl}?${cacheBuster}`;
     }
     
@@ -70,7 +116,7 @@ class ImageLoader {
                 const img = entry.target;
                 const index = parseInt(img.dataset.index);
                 const viewportTime = performance.now() - this.timingData.startTime;
-                const statusBadge = img.parentNode.querySelector('.status-badge');
+                const statusBadge = img.closest('.product-item').querySelector('.status-badge');
                 
                 // Calculate visible percentage
                 let visiblePercent = Math.round(entry.intersectionRatio * 100);
@@ -122,6 +168,7 @@ class ImageLoader {
                         viewportTime: viewportTime,
                         intersectionRatio: entry.intersectionRatio
                     });
+                    this.notifyViewportEntry(index);
                 }
             });
         }, {
@@ -158,7 +205,7 @@ class ImageLoader {
         const viewportTime = performance.now() - this.timingData.startTime;
         
         // Update status badge
-        const statusBadge = element.parentNode.querySelector('.status-badge');
+        const statusBadge = element.closest('.product-item').querySelector('.status-badge');
         if (statusBadge) {
             statusBadge.className = 'status-badge';
             
@@ -205,6 +252,7 @@ class ImageLoader {
                     viewportTime: viewportTime,
                     intersectionRatio: visiblePercent / 100
                 });
+                this.notifyViewportEntry(index);
             }
         }
         
@@ -241,75 +289,338 @@ class ImageLoader {
      * Create HTML for a product item
      */
     createProductHTML(product, index, size, loadType) {
-        const randomSeed = Math.floor(Math.random() * 1000);
+        // Deterministic seed so every run requests the same image bytes
+        const seed = product.seed || `product${index + 1}`;
         const productDiv = document.createElement('div');
         productDiv.className = 'product-item';
         
-        const baseUrl = `https://picsum.photos/seed/product${randomSeed}/${size}`;
+        // Catalog text can come from any ?catalog= URL, so it is escaped before templating
+        const title = HTMLText.escape(product.title);
+        const description = HTMLText.escape(product.description);
+        const price = HTMLText.escape(product.price);
+        
+        // Catalog products may bring their own image dimensions
+        const imageSize = product.size || size;
+        const baseUrl = this.imageSource.getUrl(seed, imageSize);
         const uniqueUrl = this.getCacheBustingUrl(baseUrl);
+        const loadingAttributes = Object.entries(this.getLoadingAttributes(index))
+            .map(([name, value]) => `${name}="${value}"`)
+            .join(' ');
         
         if (loadType === 'standard') {
             productDiv.innerHTML = `
                 <img 
                     src="${uniqueUrl}" 
-                    alt="${product.title}" 
+                    alt="${title}" 
+                    class="product-image" 
+                    data-index="${index}" 
+                    ${loadingAttributes}
+                    elementtiming="product-image-${index + 1}"
+                >
+                <div class="status-badge">Checking Viewport...</div>
+                <div class="product-info">
+                    <h2>${title}</h2>
+                    <p>${description}</p>
+                    <div class="price">${price}</div>
+                    <button class="add-to-cart" data-index="${index}">Add to Cart</button>
+                </div>
+            `;
+        } else if (loadType === 'decode-swap') {
+            // No src yet: startDecodeSwaps() sets it once the image is decoded
+            // Width and height reserve the image's box so the swap doesn't shift layout
+            const { width, height } = this.imageSource.parseSize(size);
+            productDiv.innerHTML = `
+                <img 
+                    data-src="${uniqueUrl}" 
+                    width="${width}" 
+                    height="${height}" 
+                    alt="${title}" 
                     class="product-image" 
                     data-index="${index}" 
+                    ${loadingAttributes}
                     elementtiming="product-image-${index + 1}"
                 >
                 <div class="status-badge">Checking Viewport...</div>
                 <div class="product-info">
-                    <h2>${product.title}</h2>
-                    <p>${product.description}</p>
-                    <div class="price">${product.price}</div>
+                    <h2>${title}</h2>
+                    <p>${description}</p>
+                    <div class="price">${price}</div>
+                    <button class="add-to-cart" data-index="${index}">Add to Cart</button>
+                </div>
+            `;
+        } else if (loadType === 'picture') {
+            // Modern formats first; the browser takes the first type it can decode
+            const sources = (this.modernFormats || []).map(format => `
+                    <source 
+                        type="${this.imageSource.getMimeType(format)}" 
+                        srcset="${this.getCacheBustingUrl(this.imageSource.getUrl(seed, imageSize, { format }))}"
+                    >`).join('');
+            
+            productDiv.innerHTML = `
+                <picture>${sources}
+                    <img 
+                        src="${uniqueUrl}" 
+                        alt="${title}" 
+                        class="product-image" 
+                        data-index="${index}" 
+                        ${loadingAttributes}
+                        elementtiming="product-image-${index + 1}"
+                    >
+                </picture>
+                <div class="status-badge">Checking Viewport...</div>
+                <div class="product-info">
+                    <h2>${title}</h2>
+                    <p>${description}</p>
+                    <div class="price">${price}</div>
+                    <button class="add-to-cart" data-index="${index}">Add to Cart</button>
+                </div>
+            `;
+        } else if (loadType === 'responsive') {
+            // One candidate per configured width, at the product's aspect ratio;
+            // the selected size is the src fallback
+            const srcset = Object.values(CONFIG.imageSizes).map(configSize => {
+                const width = this.imageSource.parseSize(configSize).width;
+                const candidateSize = product.size ? this.scaleSize(product.size, width) : configSize;
+                return `${this.getCacheBustingUrl(this.imageSource.getUrl(seed, candidateSize))} ${width}w`;
+            }).join(', ');
+            
+            productDiv.innerHTML = `
+                <img 
+                    src="${uniqueUrl}" 
+                    srcset="${srcset}"
+                    sizes="${this.getSizes(index)}"
+                    alt="${title}" 
+                    class="product-image" 
+                    data-index="${index}" 
+                    ${loadingAttributes}
+                    elementtiming="product-image-${index + 1}"
+                >
+                <div class="status-badge">Checking Viewport...</div>
+                <div class="product-info">
+                    <h2>${title}</h2>
+                    <p>${description}</p>
+                    <div class="price">${price}</div>
+                    <button class="add-to-cart" data-index="${index}">Add to Cart</button>
                 </div>
             `;
         } else {
             const smallSize = CONFIG.lqipSize;
-            const smallBaseUrl = `https://picsum.photos/seed/product${randomSeed}/${smallSize}`;
-            const uniqueSmallUrl = this.getCacheBustingUrl(smallBaseUrl);
+            const smallBaseUrl = this.imageSource.getUrl(seed, smallSize);
+            let uniqueSmallUrl = this.getCacheBustingUrl(smallBaseUrl);
+            
+            // Locally computed placeholders replace the network low-res image;
+            // products whose placeholder could not be built keep the low-res image
+            const prepared = this.preparedPlaceholders[index];
+            const usePrepared = prepared && !prepared.error;
+            const strategy = this.placeholders.getStrategy(usePrepared ? prepared.strategy : 'lqip');
+            if (prepared && prepared.error) {
+                this.timingData.placeholders.push({
+                    imageIndex: index,
+                    strategy: prepared.strategy,
+                    error: prepared.error
+                });
+            } else if (prepared) {
+                const rendered = this.placeholders.render(prepared);
+                uniqueSmallUrl = rendered.src;
+                this.timingData.placeholders.push({
+                    imageIndex: index,
+                    strategy: prepared.strategy,
+                    payloadBytes: prepared.payloadBytes,
+                    encodeTime: prepared.encodeTime,
+                    renderTime: rendered.renderTime
+                });
+            }
             
             productDiv.innerHTML = `
                 <img 
                     src="${uniqueSmallUrl}" 
-                    alt="${product.title}" 
+                    alt="${title}" 
                     class="product-image" 
                     data-index="${index}" 
+                    ${loadingAttributes}
+                    data-lowres="${uniqueSmallUrl}"
                     data-highres="${uniqueUrl}"
-                    style="filter: blur(5px); transition: filter 0.5s ease;"
+                    style="${strategy.filter ? `filter: ${strategy.filter}; ` : ''}transition: filter 0.5s ease;"
                     elementtiming="product-image-${index + 1}"
                 >
                 <div class="status-badge">Checking Viewport...</div>
                 <div class="product-info">
-                    <h2>${product.title}</h2>
-                    <p>${product.description}</p>
-                    <div class="price">${product.price}</div>
+                    <h2>${title}</h2>
+                    <p>${description}</p>
+                    <div class="price">${price}</div>
+                    <button class="add-to-cart" data-index="${index}">Add to Cart</button>
                 </div>
             `;
         }
         
+        if (this.getLayout() === 'hero-grid' && index === 0) {
+            productDiv.classList.add('hero');
+        }
+        
+        // Reserve the product's own aspect ratio so mixed sizes don't shift layout
+        if (product.size) {
+            const { width, height } = this.imageSource.parseSize(product.size);
+            const img = productDiv.querySelector('img');
+            img.setAttribute('width', width);
+            img.setAttribute('height', height);
+            img.style.aspectRatio = `${width} / ${height}`;
+            img.classList.add('sized');
+        }
+        
         return productDiv;
     }
     
+    /**
+     * Scale a "width/height" size to a new width, keeping its aspect ratio
+     */
+    scaleSize(size, width) {
+        const original = this.imageSource.parseSize(size);
+        return `${width}/${Math.max(1, Math.round(width * original.height / original.width))}`;
+    }
+    
+    /**
+     * Get the selected layout name (see CONFIG.catalog.layouts)
+     * "auto" uses the layout the catalog asks for
+     */
+    getLayout() {
+        const value = this.layout ? this.layout.value : 'auto';
+        return CONFIG.catalog.layouts[value] ? value : this.catalog.layout;
+    }
+    
+    /**
+     * Responsive sizes attribute for an image in the current layout
+     */
+    getSizes(index) {
+        const layout = CONFIG.catalog.layouts[this.getLayout()];
+        if (index === 0 && layout.heroSizes) return layout.heroSizes;
+        return layout.sizes || CONFIG.responsive.sizes;
+    }
+    
+    /**
+     * Get the selected scenario: "all" renders every product up front,
+     * "infinite-scroll" appends batches as the user scrolls
+     */
+    getScenario() {
+        return this.scenario && this.scenario.value === 'infinite-scroll' ? 'infinite-scroll' : 'all';
+    }
+    
+    /**
+     * Get the selected auto-scroll speed (see CONFIG.autoScroll.speeds), or "off"
+     */
+    getAutoScrollSpeed() {
+        const value = this.autoScroll ? this.autoScroll.value : 'off';
+        return CONFIG.autoScroll.speeds[value] ? value : 'off';
+    }
+    
+    /**
+     * How this run was started: "cold" for a full page navigation,
+     * "soft" inside a fresh frame opened by a soft run (see SoftRunner)
+     */
+    getRunMode() {
+        return RunReporter.getRunId() ? 'soft' : 'cold';
+    }
+    
+    /**
+     * Get the selected loading strategy name (see CONFIG.loadingStrategies)
+     */
+    getLoadingStrategy() {
+        const value = this.loadingStrategy ? this.loadingStrategy.value : 'default';
+        return CONFIG.loadingStrategies[value] ? value : 'default';
+    }
+    
+    /**
+     * Get the selected placeholder strategy name for LQIP mode
+     */
+    getPlaceholderStrategy() {
+        const value = this.placeholderStrategy ? this.placeholderStrategy.value : 'lqip';
+        return this.placeholders.strategies[value] ? value : 'lqip';
+    }
+    
+    /**
+     * Get the selected LQIP swap policy name (see CONFIG.lqipSwap.policies)
+     */
+    getSwapPolicy() {
+        const value = this.swapPolicy ? this.swapPolicy.value : CONFIG.lqipSwap.policy;
+        return CONFIG.lqipSwap.policies[value] ? value : CONFIG.lqipSwap.policy;
+    }
+    
+    /**
+     * Native loading attributes (loading, decoding, fetchpriority) for an image
+     */
+    getLoadingAttributes(index) {
+        const strategy = CONFIG.loadingStrategies[this.getLoadingStrategy()];
+        return { ...(index === 0 ? strategy.first : strategy.rest) };
+    }
+    
+    /**
+     * Handle "Add to Cart" clicks so there are interactions for INP to measure
+     * Delegated on the container so it survives product re-renders
+     */
+    setupCartInteractions() {
+        if (this._cartHandler) return;
+        
+        this.cartCount = 0;
+        this._cartHandler = (event) => {
+            const button = event.target.closest('.add-to-cart');
+            if (!button) return;
+            
+            this.cartCount++;
+            button.textContent = 'Added ✓';
+            button.classList.add('added');
+            
+            console.log(`Product ${parseInt(button.dataset.index) + 1} added to cart (${this.cartCount} items)`);
+            this.emit('cartUpdate', { index: parseInt(button.dataset.index), cartCount: this.cartCount });
+        };
+        
+        this.productContainer.addEventListener('click', this._cartHandler);
+    }
+    
     /**
      * Set up standard image load listeners
+     * Infinite scroll passes each appended batch of images
      */
-    setupStandardLoadListeners() {
-        document.querySelectorAll('.product-image').forEach(img => {
+    setupStandardLoadListeners(images = document.querySelectorAll('.product-image')) {
+        images.forEach(img => {
             this.checkViewportStatus(img);
             this.viewportObserver.observe(img);
             
+            // Retry errors and stalls; lazy images only request once near the viewport
+            // Decode-before-swap images are watched on their off-DOM loader instead
+            if (!img.dataset.src) {
+                const startWatch = this.watchImageLoad(img, parseInt(img.dataset.index), 'standard');
+                if (img.loading === 'lazy') {
+                    this.onViewportEntry(parseInt(img.dataset.index), startWatch);
+                } else {
+                    startWatch();
+                }
+            }
+            
             img.addEventListener('load', () => {
+                // The fallback image of a failed load is not a load
+                if (img.dataset.fallback) return;
+                
                 const loadTime = performance.now() - this.timingData.startTime;
                 const index = parseInt(img.dataset.index);
                 
+                if (this.metricsTracker && this.metricsTracker.markShiftCandidate) {
+                    this.metricsTracker.markShiftCandidate('Image load', img);
+                }
+                
                 this.timingData.imageLoadTimes.push({
                     index: index,
-                    time: loadTime
+                    time: loadTime,
+                    retries: parseInt(img.dataset.retries || 0)
                 });
                 
                 this.monitorPaintTime(img, index, loadTime);
                 
+                // Decode-before-swap images were decoded before src was set
+                const decoded = img.dataset.decodedBeforeSwap ? null : this.measureDecode(img, index, 'standard');
+                
+                if (img.parentNode.tagName === 'PICTURE') {
+                    this.recordFormatSelection(img, index, loadTime, decoded);
+                }
+                
                 // Also notify metrics tracker about image loads
                 if (this.metricsTracker) {
                     this.metricsTracker.trackElementPaint(img, {
@@ -318,35 +629,278 @@ class ImageLoader {
                     });
                 }
                 
-                if (this.timingData.imageLoadTimes.length === CONFIG.products.length) {
-                    setTimeout(() => this.finalizeResults(), 1000);
-                }
+                this.checkAllSettled();
+            });
+        });
+    }
+    
+    /**
+     * Record which <picture> source the browser chose and when it was ready to paint
+     * decoded is the pending measureDecode() entry for the image, if any
+     */
+    recordFormatSelection(img, index, loadTime, decoded) {
+        const currentSrc = img.currentSrc || img.src;
+        const extension = currentSrc.match(/\.(avif|webp|png|jpe?g)(\?|$)/);
+        const offeredFormats = Array.from(img.parentNode.querySelectorAll('source'))
+            .map(source => source.type.replace('image/', ''))
+            .concat('jpg');
+        
+        const selection = {
+            imageIndex: index,
+            format: extension ? extension[1].replace('jpeg', 'jpg') : 'jpg',
+            offeredFormats: offeredFormats,
+            currentSrc: currentSrc,
+            loadTime: loadTime,
+            decodeTime: null
+        };
+        this.timingData.formatSelections.push(selection);
+        
+        // Reuse the page image's own decode measurement rather than decoding
+        // another copy while the run is still painting
+        if (decoded) {
+            decoded.then(entry => {
+                if (!entry.failed) selection.decodeTime = entry.decodeTime;
             });
+        }
+    }
+    
+    /**
+     * Measure decoding as its own phase: decode() resolves once the bitmap is ready to paint
+     * On an off-DOM loader that was never painted (decode-before-swap) this is the full decode;
+     * on an image in the page the browser has usually started decoding during the load, so
+     * it is only the time left until the image is ready (shown as "ready after load")
+     * Resolves with the recorded entry (times relative to the run start)
+     */
+    measureDecode(img, index, type) {
+        const entry = {
+            imageIndex: index,
+            type: type,
+            beforeSwap: false,
+            decodeStart: performance.now() - this.timingData.startTime,
+            decodeEnd: null,
+            decodeTime: null,
+            failed: false
+        };
+        this.timingData.decodeTimings.push(entry);
+        
+        if (!img.decode) return Promise.resolve(entry);
+        
+        return img.decode()
+            .then(() => {
+                entry.decodeEnd = performance.now() - this.timingData.startTime;
+                entry.decodeTime = entry.decodeEnd - entry.decodeStart;
+                return entry;
+            })
+            .catch(error => {
+                entry.failed = true;
+                console.warn(`Decode failed for image ${index} (${type})`, error);
+                return entry;
+            });
+    }
+    
+    /**
+     * Decode-before-swap mode: fetch and decode each image off-DOM,
+     * then set src so the visible image never waits on decoding
+     *
+     * The bytes are fetched once and shared through a blob URL, so the page image
+     * doesn't make a second request; data-src keeps the network URL for Resource Timing
+     */
+    startDecodeSwaps(images = document.querySelectorAll('.product-image')) {
+        Array.from(images).filter(img => img.dataset.src).forEach(img => {
+            const index = parseInt(img.dataset.index);
+            const loader = new Image();
+            let request = null;
             
-            img.addEventListener('error', () => {
-                console.error(`Error loading image ${img.dataset.index}`);
+            // A failed fetch is reported as the loader's error, so it is retried like any image
+            const fetchImage = () => {
+                if (request) request.abort();
+                const controller = new AbortController();
+                request = controller;
+                
+                fetch(img.dataset.src, { signal: controller.signal })
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.blob();
+                    })
+                    .then(blob => {
+                        if (request === controller) loader.src = URL.createObjectURL(blob);
+                    })
+                    .catch(error => {
+                        if (request === controller && error.name !== 'AbortError') {
+                            loader.dispatchEvent(new Event('error'));
+                        }
+                    });
+            };
+            
+            loader.onload = () => {
+                const swap = () => {
+                    img.dataset.decodedBeforeSwap = 'true';
+                    img.dataset.retries = loader.dataset.retries || 0;
+                    img.src = loader.src;
+                };
+                
+                this.measureDecode(loader, index, 'standard').then(entry => {
+                    entry.beforeSwap = true;
+                    swap();
+                });
+            };
+            
+            // Failures show the fallback on the page image
+            const startWatch = this.watchImageLoad(loader, index, 'standard', {
+                displayImg: img,
+                retry: () => {
+                    img.dataset.src = this.refreshCacheBusters(img.dataset.src);
+                    fetchImage();
+                },
+                onFailed: () => {
+                    if (request) request.abort();
+                }
             });
+            startWatch();
+            fetchImage();
         });
     }
     
     /**
      * Set up LQIP (Low Quality Image Placeholder) load listeners
      */
-    setupLQIPLoadListeners() {
+    setupLQIPLoadListeners(images = document.querySelectorAll('.product-image')) {
         const that = this;
+        const policy = this.getSwapPolicy();
         
-        document.querySelectorAll('.product-image').forEach(img => {
+        images.forEach(img => {
+            const index = parseInt(img.dataset.index);
+            const highResImage = new Image();
+            let lowResLoaded = false;
+            let highResReady = false;
+            
+            // When the high-res image was requested, loaded, decoded and swapped in
+            const swap = {
+                imageIndex: index,
+                policy: policy,
+                requestTime: null,
+                loadTime: null,
+                decodeTime: null,
+                swapTime: null
+            };
+            that.timingData.swapEvents.push(swap);
+            
+            // A high-res image that keeps failing replaces the placeholder with the fallback
+            const startHighResWatch = that.watchImageLoad(highResImage, index, 'high-res', {
+                displayImg: img,
+                onFailed: () => {
+                    swap.failed = true;
+                }
+            });
+            
+            const requestHighRes = () => {
+                if (swap.requestTime !== null) return;
+                swap.requestTime = performance.now() - that.timingData.startTime;
+                startHighResWatch();
+                highResImage.src = img.dataset.highres;
+            };
+            
+            const swapToHighRes = () => {
+                swap.swapTime = performance.now() - that.timingData.startTime;
+                const highResLoadTime = swap.loadTime;
+                
+                // Let the tracker attribute any layout shift caused by the swap
+                if (that.metricsTracker && that.metricsTracker.markShiftCandidate) {
+                    that.metricsTracker.markShiftCandidate('LQIP swap', img);
+                }
+                
+                // A failed placeholder's fallback gives way to the high-res image
+                delete img.dataset.fallback;
+                img.classList.remove('image-failed');
+                img.setAttribute('elementtiming', `product-image-${index + 1}`);
+                
+                img.dataset.phase = 'high-res';
+                img.src = highResImage.src;
+                img.style.filter = 'blur(0)';
+                
+                that.timingData.imageLoadTimes.push({
+                    index: index,
+                    time: highResLoadTime,
+                    type: 'high-res',
+                    retries: parseInt(highResImage.dataset.retries || 0)
+                });
+                
+                that.monitorPaintTime(img, index, highResLoadTime, 'high-res');
+                
+                // The decode policy already decoded off-DOM before the swap
+                if (swap.decodeTime !== null) {
+                    that.timingData.decodeTimings.push({
+                        imageIndex: index,
+                        type: 'high-res',
+                        beforeSwap: true,
+                        decodeStart: swap.loadTime,
+                        decodeEnd: swap.loadTime + swap.decodeTime,
+                        decodeTime: swap.decodeTime,
+                        failed: false
+                    });
+                } else {
+                    that.measureDecode(img, index, 'high-res');
+                }
+                
+                // Notify metrics tracker
+                if (that.metricsTracker) {
+                    that.metricsTracker.trackElementPaint(img, {
+                        source: 'lqip-high-res-load',
+                        loadTime: highResLoadTime
+                    });
+                }
+                
+                that.checkAllSettled();
+            };
+            
+            // Swapping before the placeholder loaded would fire its load listener for high-res
+            const swapWhenReady = () => {
+                if (lowResLoaded && highResReady && swap.swapTime === null) {
+                    swapToHighRes();
+                }
+            };
+            
+            highResImage.onload = () => {
+                swap.loadTime = performance.now() - that.timingData.startTime;
+                
+                if (policy === 'decode' && highResImage.decode) {
+                    const decodeStart = performance.now();
+                    highResImage.decode()
+                        .catch(error => console.warn(`Decode failed for high-res image ${index}`, error))
+                        .then(() => {
+                            swap.decodeTime = performance.now() - decodeStart;
+                            highResReady = true;
+                            swapWhenReady();
+                        });
+                } else {
+                    highResReady = true;
+                    swapWhenReady();
+                }
+            };
+            
             this.checkViewportStatus(img);
             that.viewportObserver.observe(img);
             
+            // Immediate policy fetches high-res in parallel with the placeholder
+            if (policy === 'immediate') {
+                requestHighRes();
+            }
+            
             const onLowResLoad = function() {
+                // The fallback image of a failed placeholder is not a load
+                if (img.dataset.fallback) return;
+                
                 const loadTime = performance.now() - that.timingData.startTime;
-                const index = parseInt(img.dataset.index);
+                
+                if (that.metricsTracker && that.metricsTracker.markShiftCandidate) {
+                    that.metricsTracker.markShiftCandidate('LQIP low-res load', img);
+                }
                 
                 that.timingData.imageLoadTimes.push({
                     index: index,
                     time: loadTime,
-                    type: 'low-res'
+                    type: 'low-res',
+                    retries: parseInt(img.dataset.retries || 0)
                 });
                 
                 // Use nested requestAnimationFrame for more reliable paint detection
@@ -378,48 +932,268 @@ class ImageLoader {
                 });
                 
                 img.removeEventListener('load', onLowResLoad);
+                lowResLoaded = true;
                 
-                setTimeout(() => {
-                    const highResImage = new Image();
-                    
-                    highResImage.onload = () => {
-                        const highResLoadTime = performance.now() - that.timingData.startTime;
-                        
-                        img.src = highResImage.src;
-                        img.style.filter = 'blur(0)';
-                        
-                        that.timingData.imageLoadTimes.push({
-                            index: index,
-                            time: highResLoadTime,
-                            type: 'high-res'
-                        });
-                        
-                        that.monitorPaintTime(img, index, highResLoadTime, 'high-res');
-                        
-                        // Notify metrics tracker
-                        if (that.metricsTracker) {
-                            that.metricsTracker.trackElementPaint(img, {
-                                source: 'lqip-high-res-load',
-                                loadTime: highResLoadTime
-                            });
-                        }
-                        
-                        const highResLoads = that.timingData.imageLoadTimes.filter(item => item.type === 'high-res');
-                        if (highResLoads.length === CONFIG.products.length) {
-                            setTimeout(() => that.finalizeResults(), 1000);
-                        }
-                    };
-                    
-                    highResImage.src = img.dataset.highres;
-                }, 500);
+                that.scheduleHighRes(policy, index, requestHighRes);
+                swapWhenReady();
             };
             
             img.addEventListener('load', onLowResLoad);
             
-            img.addEventListener('error', () => {
-                console.error(`Error loading image ${img.dataset.index}`);
+            // A placeholder that keeps failing shows the fallback until the high-res image is ready
+            const startLowResWatch = that.watchImageLoad(img, index, 'low-res', {
+                onFailed: () => {
+                    img.removeEventListener('load', onLowResLoad);
+                    lowResLoaded = true;
+                    that.scheduleHighRes(policy, index, requestHighRes);
+                    swapWhenReady();
+                }
+            });
+            if (img.loading === 'lazy') {
+                that.onViewportEntry(index, startLowResWatch);
+            } else {
+                startLowResWatch();
+            }
+        });
+    }
+    
+    /**
+     * Request the high-res image according to the LQIP swap policy
+     * (see CONFIG.lqipSwap.policies); called once the placeholder has loaded
+     */
+    scheduleHighRes(policy, index, requestHighRes) {
+        switch (policy) {
+            case 'immediate':
+                // Already requested alongside the placeholder
+                break;
+            case 'viewport':
+                this.onViewportEntry(index, requestHighRes);
+                break;
+            case 'idle':
+                if (window.requestIdleCallback) {
+                    window.requestIdleCallback(requestHighRes, { timeout: CONFIG.lqipSwap.idleTimeout });
+                } else {
+                    setTimeout(requestHighRes, 0);
+                }
+                break;
+            case 'decode':
+                // Fetch right away; the swap waits for decode() instead
+                requestHighRes();
+                break;
+            default:
+                setTimeout(requestHighRes, CONFIG.lqipSwap.delay);
+        }
+    }
+    
+    /**
+     * Run a callback once an image has entered the viewport (right away if it already has)
+     */
+    onViewportEntry(index, callback) {
+        if (this.timingData.viewportDeltas.some(item => item.imageIndex === index)) {
+            callback();
+            return;
+        }
+        
+        if (!this.viewportCallbacks[index]) this.viewportCallbacks[index] = [];
+        this.viewportCallbacks[index].push(callback);
+    }
+    
+    /**
+     * Run work waiting for an image to enter the viewport (first entry only)
+     */
+    notifyViewportEntry(index) {
+        const callbacks = this.viewportCallbacks[index];
+        if (callbacks) {
+            delete this.viewportCallbacks[index];
+            callbacks.forEach(callback => callback());
+        }
+    }
+    
+    /**
+     * Get retry settings: CONFIG.imageRetry, overridden by the
+     * retries/imageTimeout/retryBackoff URL parameters
+     */
+    getRetrySettings() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const readNumber = (name, fallback) => {
+            const value = parseInt(urlParams.get(name));
+            return isNaN(value) || value < 0 ? fallback : value;
+        };
+        
+        return {
+            timeout: readNumber('imageTimeout', CONFIG.imageRetry.timeout),
+            retries: readNumber('retries', CONFIG.imageRetry.retries),
+            backoff: readNumber('retryBackoff', CONFIG.imageRetry.backoff)
+        };
+    }
+    
+    /**
+     * Give an image a timeout per attempt and retry it with exponential backoff
+     * when it errors or stalls; once retries run out, show the fallback image on
+     * displayImg (defaults to the image itself) and call onFailed
+     * options.retry replaces the default retry (fresh cache-busted URLs on the image)
+     *
+     * Works for images in the page and detached loaders (decode-swap, LQIP high-res)
+     * Returns a start() function to call when the image's request actually begins,
+     * so lazy and deferred requests don't time out before they are made
+     */
+    watchImageLoad(img, index, type, options = {}) {
+        const displayImg = options.displayImg || img;
+        const settings = this.getRetrySettings();
+        const runStart = this.timingData.startTime;
+        let timer = null;
+        
+        const record = {
+            imageIndex: index,
+            type: type,
+            attempts: [],
+            status: 'pending',
+            fallback: false
+        };
+        this.timingData.imageAttempts.push(record);
+        
+        const currentAttempt = () => record.attempts[record.attempts.length - 1];
+        
+        const startAttempt = () => {
+            record.status = 'loading';
+            record.attempts.push({
+                attempt: record.attempts.length + 1,
+                start: performance.now() - runStart,
+                end: null,
+                outcome: null
             });
+            
+            clearTimeout(timer);
+            if (settings.timeout > 0) {
+                timer = setTimeout(() => fail('timeout'), settings.timeout);
+            }
+        };
+        
+        const fail = (outcome) => {
+            if (record.status !== 'loading') return;
+            clearTimeout(timer);
+            
+            const attempt = currentAttempt();
+            attempt.end = performance.now() - runStart;
+            attempt.outcome = outcome;
+            
+            const retriesUsed = record.attempts.length - 1;
+            if (retriesUsed < settings.retries) {
+                const delay = settings.backoff * Math.pow(2, retriesUsed);
+                record.status = 'waiting';
+                console.warn(`Image ${index + 1} (${type}) ${outcome === 'timeout' ? 'timed out' : 'failed'} on attempt ${attempt.attempt}, retrying in ${delay}ms`);
+                
+                setTimeout(() => {
+                    startAttempt();
+                    img.dataset.retries = record.attempts.length - 1;
+                    if (options.retry) {
+                        options.retry();
+                    } else {
+                        this.refreshImageUrls(img);
+                    }
+                }, delay);
+                return;
+            }
+            
+            record.status = 'failed';
+            record.fallback = true;
+            console.error(`Image ${index + 1} (${type}) failed after ${record.attempts.length} attempts, showing fallback image`);
+            
+            // Stop a stalled request, then show the fallback in the page
+            if (img !== displayImg) img.src = '';
+            this.showFallbackImage(displayImg);
+            
+            if (options.onFailed) options.onFailed(record);
+            this.checkAllSettled();
+        };
+        
+        img.addEventListener('load', () => {
+            if (img.dataset.fallback) return;
+            
+            // Lazy images may load before start() ran at viewport entry
+            if (record.status === 'pending') startAttempt();
+            if (record.status !== 'loading') return;
+            clearTimeout(timer);
+            
+            const attempt = currentAttempt();
+            attempt.end = performance.now() - runStart;
+            attempt.outcome = 'load';
+            record.status = record.attempts.length > 1 ? 'retried' : 'loaded';
+        });
+        
+        img.addEventListener('error', () => {
+            if (img.dataset.fallback) return;
+            if (record.status === 'pending') startAttempt();
+            fail('error');
         });
+        
+        return () => {
+            if (record.attempts.length === 0) startAttempt();
+        };
+    }
+    
+    /**
+     * Point an image (and its srcset and <picture> sources) at fresh cache-busted URLs
+     * so a retry makes a new request
+     */
+    refreshImageUrls(img) {
+        if (img.parentNode && img.parentNode.tagName === 'PICTURE') {
+            img.parentNode.querySelectorAll('source').forEach(source => {
+                source.srcset = this.refreshCacheBusters(source.srcset);
+            });
+        }
+        
+        if (img.getAttribute('srcset')) {
+            img.setAttribute('srcset', this.refreshCacheBusters(img.getAttribute('srcset')));
+        }
+        
+        img.src = this.refreshCacheBusters(img.src);
+    }
+    
+    /**
+     * Replace every cache buster in a URL (or srcset) with a fresh one
+     */
+    refreshCacheBusters(urls) {
+        return urls.replace(/cache=[^&\s,]+/g, () => this.createCacheBuster());
+    }
+    
+    /**
+     * Replace a failed image with the fallback image
+     * Load listeners ignore the fallback's load event (data-fallback)
+     */
+    showFallbackImage(img) {
+        img.dataset.fallback = 'true';
+        img.classList.add('image-failed');
+        img.style.filter = '';
+        
+        // The fallback's paint is not a product image paint (LCP, LCS, paint deltas)
+        img.removeAttribute('elementtiming');
+        
+        if (img.parentNode && img.parentNode.tagName === 'PICTURE') {
+            img.parentNode.querySelectorAll('source').forEach(source => source.remove());
+        }
+        img.removeAttribute('srcset');
+        img.src = CONFIG.imageRetry.fallbackSrc;
+    }
+    
+    /**
+     * Finalize once every product image has either loaded or finally failed
+     * (high-res images in LQIP mode)
+     */
+    checkAllSettled() {
+        const finalType = this.imageType.value === 'lowquality' ? 'high-res' : 'standard';
+        const settled = new Set();
+        
+        this.timingData.imageLoadTimes
+            .filter(item => (item.type || 'standard') === finalType)
+            .forEach(item => settled.add(item.index));
+        this.timingData.imageAttempts
+            .filter(item => item.type === finalType && item.status === 'failed')
+            .forEach(item => settled.add(item.imageIndex));
+        
+        if (settled.size === this.products.length) {
+            setTimeout(() => this.finalizeResults(), 1000);
+        }
     }
     
     /**
@@ -503,7 +1277,7 @@ class ImageLoader {
                             const imageIndex = parseInt(entry.identifier.split('-').pop()) - 1;
                             
                             let loadEntry;
-                            if (this.imageType.value === 'standard') {
+                            if (this.imageType.value !== 'lowquality') {
                                 loadEntry = this.timingData.imageLoadTimes.find(item => item.index === imageIndex);
                             } else {
                                 loadEntry = this.timingData.imageLoadTimes.find(
@@ -555,9 +1329,9 @@ class ImageLoader {
                 const loadTime = performance.now() - this.timingData.startTime;
                 const index = parseInt(img.dataset.index);
                 
-                // Only add RAF detection for standard images or high-res in LQIP mode
-                const isStandard = this.imageType.value === 'standard';
-                const isHighRes = img.dataset.highres && !img.src.includes(CONFIG.lqipSize);
+                // Only add RAF detection for single-phase images or high-res in LQIP mode
+                const isStandard = !img.dataset.highres;
+                const isHighRes = img.dataset.phase === 'high-res';
                 
                 if (isStandard || isHighRes) {
                     // Use double-rAF to detect paint time
@@ -598,6 +1372,8 @@ class ImageLoader {
         
         this.productContainer.innerHTML = '';
         
+        this.setupCartInteractions();
+        
         document.querySelectorAll('img').forEach(img => {
             if (img.parentNode) {
                 img.parentNode.removeChild(img);
@@ -609,15 +1385,32 @@ class ImageLoader {
             this.metricsTracker.reset();
         }
         
-        if (window.requestIdleCallback) {
-            window.requestIdleCallback(() => {
-                this.continueLoading(currentSize, currentType);
-            });
-        } else {
-            setTimeout(() => {
-                this.continueLoading(currentSize, currentType);
-            }, 50);
-        }
+        // Load the catalog, then wait for the image source (the local worker must control the page first)
+        // and find out which modern formats it can serve for <picture> mode
+        // Placeholder payloads are built before the run, as a server would embed them
+        this.catalog.load().then(() => {
+            this.products = this.catalog.products;
+            return this.interactionScript.load(this.scriptSelect ? this.scriptSelect.value : '');
+        }).then(() => this.imageSource.init()).then(() => {
+            return currentType === 'picture' ? this.imageSource.detectFormats() : [];
+        }).then(formats => {
+            this.modernFormats = formats;
+            return currentType === 'lowquality'
+                ? this.placeholders.prepare(this.products, this.getPlaceholderStrategy(), CONFIG.imageSizes[currentSize])
+                : [];
+        }).then(prepared => {
+            this.preparedPlaceholders = prepared;
+            
+            if (window.requestIdleCallback) {
+                window.requestIdleCallback(() => {
+                    this.continueLoading(currentSize, currentType);
+                });
+            } else {
+                setTimeout(() => {
+                    this.continueLoading(currentSize, currentType);
+                }, 50);
+            }
+        });
     }
     
     /**
@@ -628,40 +1421,202 @@ class ImageLoader {
             startTime: performance.now(),
             imageLoadTimes: [],
             paintDeltas: [],
-            viewportDeltas: []
+            viewportDeltas: [],
+            formatSelections: [],
+            placeholders: [],
+            swapEvents: [],
+            decodeTimings: [],
+            batches: [],
+            imageAttempts: []
         };
+        this.finalizeDeferred = false;
         
         this.results.innerHTML = '<h2>Timing Results</h2><p>Loading images...</p>';
         
         const sizeValue = CONFIG.imageSizes[size];
         const loadType = type;
         
+        // Lazy images, LQIP swaps waiting for viewport entry and unscrolled batches
+        // may never load for images outside the viewport; don't wait for them forever
+        clearTimeout(this.lazyResultsTimer);
+        const usesLazyLoading = this.products.some((product, index) => this.getLoadingAttributes(index).loading === 'lazy');
+        const swapsOnViewport = loadType === 'lowquality' && this.getSwapPolicy() === 'viewport';
+        const infiniteScroll = this.getScenario() === 'infinite-scroll';
+        if (usesLazyLoading || swapsOnViewport || infiniteScroll) {
+            this.armResultsTimeout();
+        } else {
+            // Every image settles within its attempts, but results must never hang
+            this.armResultsTimeout(this.getWorstCaseLoadTime());
+        }
+        
+        this.viewportCallbacks = {};
         this.initViewportObserver();
         this.setupWindowResizeListener();
         this.setupElementTimingObserver();
         
-        CONFIG.products.forEach((product, index) => {
-            const productDiv = this.createProductHTML(product, index, sizeValue, loadType);
+        this.productContainer.className = `product-container layout-${this.getLayout()}`;
+        this.renderedCount = 0;
+        this.renderBatch(infiniteScroll ? CONFIG.infiniteScroll.batchSize : this.products.length, sizeValue, loadType);
+        this.setupInfiniteScroll(infiniteScroll, sizeValue, loadType);
+        
+        // Auto-scroll and interaction scripts hold back the results until they have finished
+        const autoScrollSpeed = this.getAutoScrollSpeed();
+        if (autoScrollSpeed !== 'off') {
+            this.autoScroller.start(autoScrollSpeed, this.timingData.startTime, () => this.resumeFinalize());
+        } else {
+            this.autoScroller.stop();
+        }
+        
+        this.interactionScript.start(this.timingData.startTime, () => this.resumeFinalize());
+    }
+    
+    /**
+     * Check whether scripted scrolling or interactions are still running
+     * Their effects (viewport entries, post-input paints) belong in the results
+     */
+    isHoldingResults() {
+        return this.autoScroller.isRunning() || this.interactionScript.isRunning();
+    }
+    
+    /**
+     * Finalize results held back while scripted work ran, once all of it has finished
+     */
+    resumeFinalize() {
+        if (this.isHoldingResults() || this.timingData.finalized) return;
+        
+        if (this.finalizeDeferred) {
+            setTimeout(() => this.finalizeResults(), 1000);
+        } else {
+            this.armResultsTimeout();
+        }
+    }
+    
+    /**
+     * Append the next count products and attach load listeners to their images
+     */
+    renderBatch(count, sizeValue, loadType) {
+        const startIndex = this.renderedCount;
+        const endIndex = Math.min(startIndex + count, this.products.length);
+        const images = [];
+        
+        for (let index = startIndex; index < endIndex; index++) {
+            const productDiv = this.createProductHTML(this.products[index], index, sizeValue, loadType);
             this.productContainer.appendChild(productDiv);
-        });
+            images.push(productDiv.querySelector('.product-image'));
+        }
+        this.renderedCount = endIndex;
         
-        if (loadType === 'standard') {
-            this.setupStandardLoadListeners();
+        if (loadType === 'lowquality') {
+            this.setupLQIPLoadListeners(images);
         } else {
-            this.setupLQIPLoadListeners();
+            // Responsive images load like standard ones, the browser just picks the URL
+            this.setupStandardLoadListeners(images);
+            
+            if (loadType === 'decode-swap') {
+                this.startDecodeSwaps(images);
+            }
         }
         
+        this.timingData.batches.push({
+            batch: this.timingData.batches.length + 1,
+            startIndex: startIndex,
+            count: endIndex - startIndex,
+            time: performance.now() - this.timingData.startTime
+        });
+        
         setTimeout(() => {
-            document.querySelectorAll('.product-image').forEach(img => {
-                this.checkViewportStatus(img);
-            });
+            images.forEach(img => this.checkViewportStatus(img));
         }, 200);
     }
     
+    /**
+     * Append a batch whenever the sentinel below the products nears the viewport
+     * Removes the sentinel when the scenario renders everything up front
+     */
+    setupInfiniteScroll(enabled, sizeValue, loadType) {
+        if (this.sentinelObserver) {
+            this.sentinelObserver.disconnect();
+            this.sentinelObserver = null;
+        }
+        
+        if (!enabled) {
+            if (this.scrollSentinel) this.scrollSentinel.remove();
+            this.scrollSentinel = null;
+            return;
+        }
+        
+        if (!this.scrollSentinel) {
+            this.scrollSentinel = document.createElement('div');
+            this.scrollSentinel.className = 'scroll-sentinel';
+            this.productContainer.after(this.scrollSentinel);
+        }
+        
+        const updateSentinel = () => {
+            const remaining = this.products.length - this.renderedCount;
+            this.scrollSentinel.textContent = remaining > 0
+                ? `Showing ${this.renderedCount} of ${this.products.length} products - scroll for more`
+                : `All ${this.products.length} products loaded`;
+        };
+        updateSentinel();
+        
+        this.sentinelObserver = new IntersectionObserver((entries) => {
+            if (!entries.some(entry => entry.isIntersecting) || this.renderedCount >= this.products.length) return;
+            
+            this.renderBatch(CONFIG.infiniteScroll.batchSize, sizeValue, loadType);
+            updateSentinel();
+            console.log(`Infinite scroll: appended batch ${this.timingData.batches.length} (${this.renderedCount}/${this.products.length} products)`);
+            
+            // Re-observing reports the sentinel again if it is still in view after the append
+            this.sentinelObserver.unobserve(this.scrollSentinel);
+            if (this.renderedCount < this.products.length) {
+                this.sentinelObserver.observe(this.scrollSentinel);
+            }
+            
+            // New images are on their way; give them time before giving up on results
+            if (!this.timingData.finalized) this.armResultsTimeout();
+        }, {
+            rootMargin: `0px 0px ${CONFIG.infiniteScroll.rootMargin} 0px`
+        });
+        
+        this.sentinelObserver.observe(this.scrollSentinel);
+    }
+    
+    /**
+     * (Re)start the timeout that finalizes results when some images never load
+     */
+    armResultsTimeout(delay = CONFIG.lazyResultsTimeout) {
+        clearTimeout(this.lazyResultsTimer);
+        this.lazyResultsTimer = setTimeout(() => this.finalizeResults(), delay);
+    }
+    
+    /**
+     * Longest an image can take to load or fail: every attempt timing out plus
+     * the backoff between them, with margin for deferred LQIP requests
+     */
+    getWorstCaseLoadTime() {
+        const { timeout, retries, backoff } = this.getRetrySettings();
+        if (timeout === 0) return CONFIG.imageRetry.maxRunTime;
+        
+        const total = timeout * (retries + 1) + backoff * (Math.pow(2, retries) - 1) + 5000;
+        return Math.min(total, CONFIG.imageRetry.maxRunTime);
+    }
+    
     /**
      * Finalize results and emit event for UI update
      */
     finalizeResults() {
+        // Runs with lazy images can reach this both on load and on timeout
+        if (this.timingData.finalized) return;
+        
+        // Scripted scrolling and interactions change what gets painted; report once they finish
+        if (this.isHoldingResults()) {
+            this.finalizeDeferred = true;
+            return;
+        }
+        
+        this.timingData.finalized = true;
+        clearTimeout(this.lazyResultsTimer);
+        
         // Filter out anomalous entries
         this.timingData.paintDeltas = this.timingData.paintDeltas.filter(item => item.delta < 10000);
         
@@ -679,14 +1634,156 @@ class ImageLoader {
         
         this.timingData.paintDeltas = uniquePaintDeltas;
         
+        // Explain large load-to-paint gaps with overlapping long frames
+        this.attributePaintDelays();
+        
+        // How long each image took to paint once it scrolled into view
+        this.measureViewportToPaint();
+        
+        // Which candidate each image ended up with, and how oversized it is
+        const imageSelections = this.collectImageSelections();
+        
         // Emit results event for UI to handle
+        // Image times are relative to runStartTime; resource timings to navigation start
         this.emit('resultsReady', {
             imageSize: this.imageSize.value,
             imageType: this.imageType.value,
+            imageSource: this.imageSource.provider,
+            imageSourceFallback: this.imageSource.fallbackReason,
+            networkConditions: this.imageSource.describeNetwork(),
+            loadingStrategy: this.getLoadingStrategy(),
+            catalog: this.catalog.describe(),
+            productCount: this.products.length,
+            catalogSizedProducts: this.catalog.countFixedSizes(),
+            layout: this.getLayout(),
+            scenario: this.getScenario(),
+            runMode: this.getRunMode(),
+            batches: this.timingData.batches,
+            autoScroll: this.getAutoScrollSpeed() !== 'off' ? this.autoScroller.summary : null,
+            interactionScript: this.interactionScript.summary,
+            loadingAttributes: this.products.map((product, index) => this.getLoadingAttributes(index)),
+            placeholderStrategy: this.imageType.value === 'lowquality' ? this.getPlaceholderStrategy() : null,
+            placeholders: this.timingData.placeholders,
+            swapPolicy: this.imageType.value === 'lowquality' ? this.getSwapPolicy() : null,
+            swapEvents: this.timingData.swapEvents,
+            decodeTimings: this.timingData.decodeTimings,
+            imageAttempts: this.timingData.imageAttempts,
             navigationStartTime: window.navigationStartTime,
+            runStartTime: this.timingData.startTime,
             loadTimes: this.timingData.imageLoadTimes,
             paintDeltas: this.timingData.paintDeltas,
-            viewportDeltas: this.timingData.viewportDeltas
+            viewportDeltas: this.timingData.viewportDeltas,
+            resourceTimings: this.collectResourceTimings(),
+            formatSelections: this.timingData.formatSelections,
+            imageSelections: imageSelections,
+            longFrames: this.metricsTracker && this.metricsTracker.longFrames ? [...this.metricsTracker.longFrames] : []
+        });
+    }
+    
+    /**
+     * Convert a paint delta's load and paint times to navigation-relative times
+     * Loader times are relative to the run start, Element Timing to navigation start
+     * Pass runStart to convert deltas from a stored run instead of the current one
+     */
+    getNavigationInterval(delta, runStart = this.timingData.startTime) {
+        return {
+            load: delta.loadTime + runStart,
+            paint: delta.method === 'ElementTiming API' ? delta.paintTime : delta.paintTime + runStart
+        };
+    }
+    
+    /**
+     * Add the paint of each image's final version (high-res for LQIP) to its
+     * viewport entry, preferring Element Timing, with the time between the two
+     * Times are relative to the run start
+     */
+    measureViewportToPaint() {
+        const runStart = this.timingData.startTime;
+        
+        this.timingData.viewportDeltas.forEach(entry => {
+            const deltas = this.timingData.paintDeltas.filter(item => item.imageIndex === entry.imageIndex && item.type !== 'low-res');
+            const delta = deltas.find(item => item.method === 'ElementTiming API') || deltas[0];
+            
+            if (!delta) {
+                entry.paintTime = null;
+                entry.entryToPaint = null;
+                return;
+            }
+            
+            entry.paintTime = this.getNavigationInterval(delta).paint - runStart;
+            entry.paintMethod = delta.method;
+            
+            // Painted while still below the fold: ready the moment it scrolled in
+            entry.paintedBeforeEntry = entry.paintTime < entry.viewportTime;
+            entry.entryToPaint = Math.max(0, entry.paintTime - entry.viewportTime);
+        });
+    }
+    
+    /**
+     * Link long animation frames (or long tasks) overlapping each image's
+     * load→paint interval to that image's paint delta
+     */
+    attributePaintDelays() {
+        if (!this.metricsTracker || typeof this.metricsTracker.getLongFramesBetween !== 'function') return;
+        
+        this.timingData.paintDeltas.forEach(delta => {
+            const interval = this.getNavigationInterval(delta);
+            const frames = this.metricsTracker.getLongFramesBetween(interval.load, interval.paint);
+            
+            delta.longFrames = frames.map(frame => ({
+                entryType: frame.entryType,
+                startTime: frame.startTime,
+                duration: frame.duration,
+                overlap: frame.overlap,
+                script: this.metricsTracker.describeLongFrameScript(frame)
+            }));
+            
+            if (frames.length > 0) {
+                const worst = frames.reduce((max, frame) => frame.overlap > max.overlap ? frame : max, frames[0]);
+                delta.delayCause = `paint delayed ${worst.overlap.toFixed(0)}ms by ${this.metricsTracker.describeLongFrameScript(worst)}`;
+            }
         });
     }
+    
+    /**
+     * Record the chosen candidate, natural vs displayed size and waste of every image
+     */
+    collectImageSelections() {
+        if (!this.metricsTracker || typeof this.metricsTracker.recordImageSelection !== 'function') return [];
+        
+        return Array.from(document.querySelectorAll('.product-image'))
+            .map(img => this.metricsTracker.recordImageSelection(img, parseInt(img.dataset.index)))
+            .filter(selection => selection !== null);
+    }
+    
+    /**
+     * Match Resource Timing entries to each product image URL
+     * LQIP images get separate low-res and high-res entries
+     */
+    collectResourceTimings() {
+        if (!this.metricsTracker || typeof this.metricsTracker.getResourceTiming !== 'function') return [];
+        
+        const timings = [];
+        
+        document.querySelectorAll('.product-image').forEach(img => {
+            const index = parseInt(img.dataset.index);
+            const urls = img.dataset.highres
+                ? [['low-res', img.dataset.lowres], ['high-res', img.dataset.highres]]
+                : [['standard', img.dataset.src || img.currentSrc || img.src]];
+            
+            urls.forEach(([type, url]) => {
+                // Inline placeholders never hit the network
+                if (url.startsWith('data:')) return;
+                
+                const timing = this.metricsTracker.getResourceTiming(url);
+                if (timing) {
+                    timings.push({ imageIndex: index, type, ...timing });
+                } else {
+                    console.warn(`No resource timing entry for image ${index} (${type})`);
+                }
+            });
+        });
+        
+        return timings;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * Pluggable Image Source
+ * Builds product image URLs for either the bundled local generator
+ * (image-worker.js) or the remote picsum.photos service
+ */
+class ImageSource {
+    constructor(provider, network) {
+        // Settings travel in the URL like the other test options
+        const urlParams = new URLSearchParams(window.location.search);
+        this.provider = provider || urlParams.get('imageSource') || CONFIG.imageSource.provider;
+        this.network = network || this.readNetworkConditions(urlParams);
+        this.fallbackReason = null;
+        this.readyPromise = null;
+        this.formatsPromise = null;
+    }
+    
+    /**
+     * Resolve simulated network conditions from URL parameters
+     * A named profile from CONFIG.networkProfiles supplies the defaults and
+     * explicit latency/bandwidth/jitter/failureRate parameters override it
+     */
+    readNetworkConditions(urlParams) {
+        const profileName = urlParams.get('networkProfile') || 'none';
+        const profile = CONFIG.networkProfiles[profileName] || CONFIG.networkProfiles.none;
+        
+        const readNumber = (name, fallback) => {
+            const value = parseFloat(urlParams.get(name));
+            return isNaN(value) || value < 0 ? fallback : value;
+        };
+        
+        return {
+            profile: profileName,
+            latency: readNumber('latency', profile.latency),
+            bandwidth: readNumber('bandwidth', profile.bandwidth),
+            jitter: readNumber('jitter', profile.jitter),
+            failureRate: Math.min(readNumber('failureRate', profile.failureRate || 0), 1)
+        };
+    }
+    
+    /**
+     * Check whether any network simulation is active
+     */
+    isThrottled() {
+        const { latency, bandwidth, jitter, failureRate } = this.network;
+        return latency > 0 || bandwidth > 0 || jitter > 0 || failureRate > 0;
+    }
+    
+    /**
+     * Prepare the provider for use (registers the local image worker)
+     * Safe to call more than once - the first call's promise is reused
+     */
+    init() {
+        if (this.readyPromise) return this.readyPromise;
+        
+        if (this.provider !== 'local') {
+            this.readyPromise = Promise.resolve(this.provider);
+            return this.readyPromise;
+        }
+        
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+            this.fallBack('Service workers are not available (serve the demo over http://localhost or https)');
+            this.readyPromise = Promise.resolve(this.provider);
+            return this.readyPromise;
+        }
+        
+        this.readyPromise = navigator.serviceWorker.register(CONFIG.imageSource.workerUrl)
+            .then(() => navigator.serviceWorker.ready)
+            .then(registration => this.waitForController(registration))
+            .then(() => {
+                console.log(`Local image source ready (network: ${this.describeNetwork()})`);
+                return this.provider;
+            })
+            .catch(error => {
+                this.fallBack(`Local image worker failed to start: ${error.message}`);
+                return this.provider;
+            });
+        
+        return this.readyPromise;
+    }
+    
+    /**
+     * Detect which modern formats (AVIF, WebP) the provider can serve
+     * The local worker encodes with OffscreenCanvas, so probe the same encoder here;
+     * a <source> the browser picks but the worker can't encode would break the image
+     * Call after init() so a fallback provider is taken into account
+     */
+    detectFormats() {
+        if (this.formatsPromise) return this.formatsPromise;
+        
+        if (this.provider !== 'local') {
+            // picsum.photos serves WebP but not AVIF
+            this.formatsPromise = Promise.resolve(['webp']);
+            return this.formatsPromise;
+        }
+        
+        if (typeof OffscreenCanvas !== 'function') {
+            this.formatsPromise = Promise.resolve([]);
+            return this.formatsPromise;
+        }
+        
+        const probe = (format) => new OffscreenCanvas(1, 1)
+            .convertToBlob({ type: this.getMimeType(format) })
+            .then(blob => blob.type === this.getMimeType(format) ? format : null)
+            .catch(() => null);
+        
+        this.formatsPromise = Promise.all(['avif', 'webp'].map(probe)).then(formats => {
+            const supported = formats.filter(format => format !== null);
+            console.log(`Local image source can encode: ${supported.concat('jpg').join(', ')}`);
+            return supported;
+        });
+        
+        return this.formatsPromise;
+    }
+    
+    /**
+     * MIME type for an image format extension
+     */
+    getMimeType(format) {
+        return {
+            avif: 'image/avif',
+            webp: 'image/webp',
+            png: 'image/png',
+            jpg: 'image/jpeg'
+        }[format] || 'image/jpeg';
+    }
+    
+    /**
+     * Resolve once the image worker controls this page
+     * After a hard reload the worker is active but the page is uncontrolled,
+     * so the worker is asked to claim it instead of waiting for a navigation
+     */
+    waitForController(registration) {
+        if (navigator.serviceWorker.controller) return Promise.resolve();
+        
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('worker did not take control')), 3000);
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                clearTimeout(timeout);
+                resolve();
+            }, { once: true });
+            
+            if (registration && registration.active) {
+                registration.active.postMessage({ type: 'claim' });
+            }
+        });
+    }
+    
+    /**
+     * Switch to the fallback provider when the local source is unusable
+     */
+    fallBack(reason) {
+        console.warn(`${reason}. Falling back to ${CONFIG.imageSource.fallbackProvider} images.`);
+        this.provider = CONFIG.imageSource.fallbackProvider;
+        this.fallbackReason = reason;
+        
+        if (this.isThrottled()) {
+            console.warn('Network simulation needs the local image source and will be ignored');
+        }
+    }
+    
+    /**
+     * Human-readable summary of the simulated network conditions
+     */
+    describeNetwork() {
+        if (this.provider !== 'local' || !this.isThrottled()) return 'unthrottled';
+        
+        const { profile, latency, bandwidth, jitter, failureRate } = this.network;
+        return `${profile}: ${latency}ms ±${jitter}ms latency, ` +
+            `${bandwidth > 0 ? bandwidth + ' kbps' : 'unlimited bandwidth'}, ` +
+            `${Math.round(failureRate * 100)}% failures`;
+    }
+    
+    /**
+     * Parse a CONFIG.imageSizes value ("600/400") into dimensions
+     */
+    parseSize(size) {
+        const [width, height] = size.split('/').map(value => parseInt(value));
+        return { width, height };
+    }
+    
+    /**
+     * Get the base URL for an image
+     * Cache busting is left to the caller
+     * Pass { throttled: false } to skip the network simulation (setup work outside the run)
+     */
+    getUrl(seed, size, options = {}) {
+        const { width, height } = this.parseSize(size);
+        const format = options.format || 'jpg';
+        const encodedSeed = encodeURIComponent(seed);
+        
+        if (this.provider === 'local') {
+            const url = `${CONFIG.imageSource.basePath}/${encodedSeed}/${width}/${height}.${format}`;
+            return this.isThrottled() && options.throttled !== false ? `${url}?${this.getNetworkQuery()}` : url;
+        }
+        
+        return `https://picsum.photos/seed/${encodedSeed}/${width}/${height}${format === 'jpg' ? '' : '.' + format}`;
+    }
+    
+    /**
+     * Encode the network conditions for the image worker
+     */
+    getNetworkQuery() {
+        const params = new URLSearchParams();
+        ['latency', 'bandwidth', 'jitter', 'failureRate'].forEach(name => {
+            if (this.network[name] > 0) params.set(name, this.network[name]);
+        });
+        return params.toString();
+    }
+}
@@ -0,0 +1,300 @@
+/**
+ * Local Image Source Service Worker
+ * Serves deterministic generated product images so the demo can run offline,
+ * in CI, or on any machine with identical image bytes
+ *
+ * URL format (relative to the worker scope):
+ *   generated-images/<seed>/<width>/<height>.<jpg|png|webp|avif>
+ *
+ * Optional query parameters simulate network conditions per request:
+ *   latency (ms), jitter (± ms), bandwidth (kbps), failureRate (0-1)
+ */
+const GENERATED_PATH = /\/generated-images\/([^/]+)\/(\d+)\/(\d+)\.(jpg|jpeg|png|webp|avif)$/;
+
+const MIME_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+// Generated images are kept in memory so repeated (cache-busted) requests
+// return the same bytes without paying the generation cost again
+const generatedImages = new Map();
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    // Take control of the page that registered us without requiring a reload
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+    // Pages loaded with a hard reload start uncontrolled even though this
+    // worker is active; they ask to be claimed rather than reloading
+    if (event.data && event.data.type === 'claim') {
+        event.waitUntil(self.clients.claim());
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin) return;
+    
+    const match = url.pathname.match(GENERATED_PATH);
+    if (!match) return;
+    
+    const spec = {
+        seed: decodeURIComponent(match[1]),
+        width: Math.min(parseInt(match[2]), 4000),
+        height: Math.min(parseInt(match[3]), 4000),
+        format: match[4] === 'jpeg' ? 'jpg' : match[4]
+    };
+    
+    event.respondWith(simulateNetwork(readNetworkConditions(url.searchParams), () => serveGeneratedImage(spec)));
+});
+
+/**
+ * Read simulated network conditions from the request URL
+ */
+function readNetworkConditions(params) {
+    const read = (name) => Math.max(parseFloat(params.get(name)) || 0, 0);
+    
+    return {
+        latency: read('latency'),
+        jitter: read('jitter'),
+        bandwidth: read('bandwidth'),
+        failureRate: Math.min(read('failureRate'), 1)
+    };
+}
+
+/**
+ * Apply latency, jitter, failures and a throughput cap to a response
+ */
+function simulateNetwork(conditions, createResponse) {
+    const jitter = conditions.jitter * (Math.random() * 2 - 1);
+    const delay = Math.max(conditions.latency + jitter, 0);
+    const shouldFail = Math.random() < conditions.failureRate;
+    
+    return wait(delay).then(() => {
+        if (shouldFail) {
+            return new Response('Simulated network failure', {
+                status: 503,
+                headers: { 'Content-Type': 'text/plain', 'Cache-Control': 'no-store' }
+            });
+        }
+        
+        return createResponse().then(response => {
+            if (!conditions.bandwidth || !response.body) return response;
+            return new Response(throttleBody(response.body, conditions.bandwidth), {
+                status: response.status,
+                headers: response.headers
+            });
+        });
+    });
+}
+
+/**
+ * Re-stream a body in small chunks paced to the given bandwidth (kbps)
+ */
+function throttleBody(body, bandwidthKbps) {
+    const chunkSize = 4096;
+    const bytesPerMs = (bandwidthKbps * 1000 / 8) / 1000;
+    const reader = body.getReader();
+    let pending = null;
+    
+    return new ReadableStream({
+        pull(controller) {
+            const next = pending ? Promise.resolve({ done: false, value: pending }) : reader.read();
+            
+            return next.then(({ done, value }) => {
+                if (done) {
+                    controller.close();
+                    return;
+                }
+                
+                const chunk = value.subarray(0, chunkSize);
+                pending = value.length > chunkSize ? value.subarray(chunkSize) : null;
+                
+                return wait(chunk.length / bytesPerMs).then(() => controller.enqueue(chunk));
+            });
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        }
+    });
+}
+
+/**
+ * Promise-based delay
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Build the response for a generated image request
+ */
+function serveGeneratedImage(spec) {
+    const key = `${spec.seed}/${spec.width}/${spec.height}.${spec.format}`;
+    const generationStart = performance.now();
+    
+    if (!generatedImages.has(key)) {
+        generatedImages.set(key, generateImage(spec).catch(error => {
+            generatedImages.delete(key);
+            throw error;
+        }));
+    }
+    
+    return generatedImages.get(key)
+        .then(blob => new Response(blob, {
+            status: 200,
+            headers: {
+                'Content-Type': blob.type,
+                'Content-Length': String(blob.size),
+                'Cache-Control': 'no-store',
+                'Server-Timing': `gen;dur=${(performance.now() - generationStart).toFixed(2)}`
+            }
+        }))
+        .catch(error => new Response(`Image generation failed: ${error.message}`, {
+            status: 500,
+            headers: { 'Content-Type': 'text/plain' }
+        }));
+}
+
+/**
+ * Generate an image blob for the given seed, size and format
+ * Falls back to SVG when OffscreenCanvas is not available in workers
+ */
+function generateImage(spec) {
+    if (typeof OffscreenCanvas !== 'function') {
+        return Promise.resolve(new Blob([generateSVG(spec)], { type: 'image/svg+xml' }));
+    }
+    
+    const canvas = new OffscreenCanvas(spec.width, spec.height);
+    const ctx = canvas.getContext('2d');
+    const random = createRandom(spec.seed);
+    
+    drawScene(ctx, spec.width, spec.height, random);
+    addTexture(ctx, spec.width, spec.height, random);
+    
+    const type = MIME_TYPES[spec.format];
+    return canvas.convertToBlob({ type, quality: 0.85 }).then(blob => {
+        // Encoders silently fall back to PNG for unsupported types
+        if (blob.type !== type) {
+            throw new Error(`Encoder does not support ${type}`);
+        }
+        return blob;
+    });
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32 over an FNV-1a hash)
+ */
+function createRandom(seed) {
+    let hash = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    
+    let state = hash >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Describe the shapes for a seed so canvas and SVG output match
+ */
+function describeScene(width, height, random) {
+    const hue = Math.floor(random() * 360);
+    const shapes = [];
+    const shapeCount = 6 + Math.floor(random() * 6);
+    
+    for (let i = 0; i < shapeCount; i++) {
+        shapes.push({
+            type: random() > 0.5 ? 'circle' : 'rect',
+            x: random() * width,
+            y: random() * height,
+            size: (0.1 + random() * 0.35) * Math.min(width, height),
+            color: `hsla(${(hue + Math.floor(random() * 120) - 60 + 360) % 360}, ${50 + Math.floor(random() * 40)}%, ${35 + Math.floor(random() * 40)}%, 0.75)`
+        });
+    }
+    
+    return {
+        background: [
+            `hsl(${hue}, 60%, 75%)`,
+            `hsl(${(hue + 40) % 360}, 55%, 45%)`
+        ],
+        shapes
+    };
+}
+
+/**
+ * Draw the seeded scene onto a 2D context
+ */
+function drawScene(ctx, width, height, random) {
+    const scene = describeScene(width, height, random);
+    
+    const gradient = ctx.createLinearGradient(0, 0, width, height);
+    gradient.addColorStop(0, scene.background[0]);
+    gradient.addColorStop(1, scene.background[1]);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    
+    scene.shapes.forEach(shape => {
+        ctx.fillStyle = shape.color;
+        if (shape.type === 'circle') {
+            ctx.beginPath();
+            ctx.arc(shape.x, shape.y, shape.size / 2, 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            ctx.fillRect(shape.x - shape.size / 2, shape.y - shape.size / 2, shape.size, shape.size * 0.7);
+        }
+    });
+}
+
+/**
+ * Add seeded per-pixel noise so file sizes and decode costs resemble photos
+ */
+function addTexture(ctx, width, height, random) {
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+    
+    for (let i = 0; i < data.length; i += 4) {
+        const noise = (random() - 0.5) * 40;
+        data[i] += noise;
+        data[i + 1] += noise;
+        data[i + 2] += noise;
+    }
+    
+    ctx.putImageData(imageData, 0, 0);
+}
+
+/**
+ * Generate an SVG rendition of the seeded scene
+ */
+function generateSVG(spec) {
+    const scene = describeScene(spec.width, spec.height, createRandom(spec.seed));
+    
+    const shapes = scene.shapes.map(shape => {
+        if (shape.type === 'circle') {
+            return `<circle cx="${shape.x.toFixed(1)}" cy="${shape.y.toFixed(1)}" r="${(shape.size / 2).toFixed(1)}" fill="${shape.color}"/>`;
+        }
+        return `<rect x="${(shape.x - shape.size / 2).toFixed(1)}" y="${(shape.y - shape.size / 2).toFixed(1)}" width="${shape.size.toFixed(1)}" height="${(shape.size * 0.7).toFixed(1)}" fill="${shape.color}"/>`;
+    }).join('');
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${spec.width}" height="${spec.height}" viewBox="0 0 ${spec.width} ${spec.height}">` +
+        `<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">` +
+        `<stop offset="0" stop-color="${scene.background[0]}"/><stop offset="1" stop-color="${scene.background[1]}"/>` +
+        `</linearGradient></defs>` +
+        `<rect width="100%" height="100%" fill="url(#bg)"/>${shapes}</svg>`;
+}
@@ -0,0 +1,323 @@
+/**
+ * Scripted Interaction Replay
+ * Runs a list of JSON steps against the product grid so interaction-dependent
+ * runs (INP, scrolling, post-input LCP) repeat exactly without a person at the keyboard
+ *
+ * Script JSON is either an array of steps or { "name", "steps": [...] }:
+ *   { "action": "wait", "ms": 1000 }
+ *   { "action": "scroll", "to": 800 | "top" | "bottom" | { "product": 6 }, "behavior": "smooth" }
+ *   { "action": "click", "product": 3 }                    (the product's Add to Cart button)
+ *   { "action": "resize", "width": 375, "height": 667 }    (pages inside a frame only)
+ * Product numbers are 1-based, like the results tables
+ * Script files must be on this page's origin
+ */
+class InteractionScript {
+    constructor(metricsTracker) {
+        this.metricsTracker = metricsTracker;
+        this.script = null;
+        this.source = '';
+        this.running = false;
+        this.cancelled = false;
+        this.summary = null;
+    }
+    
+    /**
+     * Load a script from a JSON URL or inline JSON; resolves with the script or null
+     * An unusable script is reported and skipped so the run itself still happens
+     */
+    load(source) {
+        // A script still running from an earlier load must not read the new one
+        this.stop();
+        this.source = source || '';
+        this.script = null;
+        this.summary = null;
+        if (!this.source) return Promise.resolve(null);
+        
+        const inline = this.source.trim().startsWith('{') || this.source.trim().startsWith('[');
+        const read = inline
+            ? Promise.resolve().then(() => JSON.parse(this.source))
+            : Promise.resolve().then(() => {
+                // The source comes from the URL, so only same-origin files are fetched
+                const url = new URL(this.source, window.location.href);
+                if (url.origin !== window.location.origin) {
+                    throw new Error('scripts must be on the same origin as this page');
+                }
+                return fetch(url);
+            }).then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            });
+        
+        return read
+            .then(data => {
+                this.script = this.normalize(data);
+                console.log(`Loaded interaction script "${this.script.name}" (${this.script.steps.length} steps)`);
+                return this.script;
+            })
+            .catch(error => {
+                console.warn(`Could not load interaction script ${inline ? '(inline)' : this.source}`, error);
+                return null;
+            });
+    }
+    
+    /**
+     * Validate script data into { name, steps }
+     */
+    normalize(data) {
+        const steps = Array.isArray(data) ? data : data && data.steps;
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Script has no steps');
+        }
+        
+        steps.forEach((step, index) => {
+            if (!step || !InteractionScript.ACTIONS.includes(step.action)) {
+                throw new Error(`Step ${index + 1} has unknown action ${step && step.action}`);
+            }
+        });
+        
+        return {
+            name: (!Array.isArray(data) && data.name) || this.source.split('/').pop() || 'inline script',
+            steps: steps
+        };
+    }
+    
+    /**
+     * Check whether a script is loaded and still running
+     */
+    isRunning() {
+        return this.running;
+    }
+    
+    /**
+     * Run the loaded script; step times are relative to startTime (the run start)
+     * onDone receives the summary once every step has finished
+     */
+    start(startTime, onDone) {
+        if (!this.script) return false;
+        
+        // Steps run from this script and summary even if another one is loaded meanwhile
+        const script = this.script;
+        const summary = {
+            name: script.name,
+            source: this.source.trim().startsWith('{') || this.source.trim().startsWith('[') ? 'inline' : this.source,
+            startTime: performance.now() - startTime,
+            endTime: null,
+            steps: []
+        };
+        this.summary = summary;
+        this.running = true;
+        this.cancelled = false;
+        
+        const runStep = (index) => {
+            if (this.cancelled || this.summary !== summary) return;
+            
+            if (index >= script.steps.length) {
+                this.running = false;
+                summary.endTime = performance.now() - startTime;
+                console.log(`Interaction script "${script.name}" finished at ${summary.endTime.toFixed(2)}ms`);
+                if (onDone) onDone(summary);
+                return;
+            }
+            
+            const step = script.steps[index];
+            const record = {
+                step: index + 1,
+                action: step.action,
+                description: this.describeStep(step),
+                startTime: performance.now() - startTime,
+                endTime: null,
+                duration: null,
+                status: 'done',
+                error: null
+            };
+            summary.steps.push(record);
+            
+            Promise.resolve()
+                .then(() => this.runStep(step, record, startTime))
+                .catch(error => {
+                    record.status = 'failed';
+                    record.error = error.message;
+                    console.warn(`Script step ${index + 1} (${record.description}) failed: ${error.message}`);
+                })
+                .then(() => {
+                    record.endTime = performance.now() - startTime;
+                    record.duration = record.endTime - record.startTime;
+                    runStep(index + 1);
+                });
+        };
+        
+        runStep(0);
+        return true;
+    }
+    
+    /**
+     * Stop after the current step without reporting
+     */
+    stop() {
+        this.cancelled = true;
+        this.running = false;
+    }
+    
+    /**
+     * Perform one step; resolves once its effect is complete
+     */
+    runStep(step, record, startTime) {
+        switch (step.action) {
+            case 'wait':
+                return new Promise(resolve => setTimeout(resolve, Math.max(0, Number(step.ms) || 0)));
+            case 'scroll':
+                return this.scroll(step, record);
+            case 'click':
+                return this.click(step, record, startTime);
+            case 'resize':
+                return this.resize(step, record);
+        }
+    }
+    
+    /**
+     * Scroll to a position, the page end or a product, then wait for scrolling to settle
+     * Stands in for a user scroll, so it ends LCP like one
+     */
+    scroll(step, record) {
+        let top;
+        if (step.to === 'top') {
+            top = 0;
+        } else if (step.to === 'bottom') {
+            top = document.documentElement.scrollHeight;
+        } else if (step.to && typeof step.to === 'object') {
+            const productItem = this.getProductItem(step.to.product);
+            top = productItem.getBoundingClientRect().top + window.scrollY;
+        } else {
+            top = Number(step.to) || 0;
+        }
+        
+        this.markInput('scroll');
+        window.scrollTo({ top: top, behavior: step.behavior === 'smooth' ? 'smooth' : 'instant' });
+        
+        return this.waitForScrollEnd().then(() => {
+            record.scrollY = Math.round(window.scrollY);
+        });
+    }
+    
+    /**
+     * Resolve once the scroll position has stopped changing (smooth scrolls take a while)
+     */
+    waitForScrollEnd() {
+        return new Promise(resolve => {
+            const deadline = performance.now() + 3000;
+            let lastY = window.scrollY;
+            let stableFrames = 0;
+            
+            const check = () => {
+                stableFrames = window.scrollY === lastY ? stableFrames + 1 : 0;
+                lastY = window.scrollY;
+                
+                if (stableFrames >= 3 || performance.now() > deadline) {
+                    resolve();
+                } else {
+                    requestAnimationFrame(check);
+                }
+            };
+            requestAnimationFrame(check);
+        });
+    }
+    
+    /**
+     * Click a product's Add to Cart button and time it to the next paint
+     * Event Timing ignores synthetic events, so this latency is recorded here;
+     * native INP only reflects real input
+     */
+    click(step, record, startTime) {
+        const button = this.getProductItem(step.product).querySelector('.add-to-cart');
+        if (!button) throw new Error(`product ${step.product} has no Add to Cart button`);
+        
+        this.markInput('click');
+        
+        const clickStart = performance.now();
+        button.click();
+        const processingEnd = performance.now();
+        
+        return new Promise(resolve => {
+            requestAnimationFrame(() => {
+                requestAnimationFrame(() => {
+                    const paintTime = performance.now();
+                    record.interaction = {
+                        time: clickStart - startTime,
+                        processing: processingEnd - clickStart,
+                        latency: paintTime - clickStart
+                    };
+                    resolve();
+                });
+            });
+        });
+    }
+    
+    /**
+     * Resize the viewport by asking the page that embeds this one to resize its frame
+     * A top-level page can't resize its own window, so the step is reported as not applied
+     */
+    resize(step, record) {
+        const width = parseInt(step.width);
+        const height = parseInt(step.height);
+        if (!width || !height) throw new Error('resize needs width and height');
+        
+        record.requested = `${width}×${height}`;
+        
+        if (window.parent === window) {
+            record.status = 'not applied';
+            record.error = 'resize steps only work when this page runs inside a frame';
+            return Promise.resolve();
+        }
+        
+        window.parent.postMessage({ type: 'resize-viewport', width: width, height: height }, window.location.origin);
+        
+        // Give the resize a moment to apply, then report what actually happened
+        return new Promise(resolve => setTimeout(resolve, 300)).then(() => {
+            record.viewport = `${window.innerWidth}×${window.innerHeight}`;
+            if (window.innerWidth !== width) {
+                record.status = 'not applied';
+                record.error = 'the parent page did not resize this frame';
+            }
+        });
+    }
+    
+    /**
+     * Find a rendered product by its 1-based number
+     */
+    getProductItem(product) {
+        const index = parseInt(product) - 1;
+        const img = document.querySelector(`.product-image[data-index="${index}"]`);
+        if (!img) throw new Error(`product ${product} is not on the page`);
+        return img.closest('.product-item');
+    }
+    
+    /**
+     * Scripted clicks and scrolls stand in for user input, so they end LCP
+     */
+    markInput(type) {
+        if (this.metricsTracker && typeof this.metricsTracker.markLcpInput === 'function') {
+            this.metricsTracker.markLcpInput(type, true);
+        }
+    }
+    
+    /**
+     * Short description of a step for results tables
+     */
+    describeStep(step) {
+        switch (step.action) {
+            case 'wait':
+                return `wait ${step.ms}ms`;
+            case 'scroll':
+                return `scroll to ${step.to && typeof step.to === 'object' ? 'product ' + step.to.product : step.to}${step.behavior === 'smooth' ? ' (smooth)' : ''}`;
+            case 'click':
+                return `click product ${step.product}`;
+            case 'resize':
+                return `resize to ${step.width}×${step.height}`;
+            default:
+                return step.action;
+        }
+    }
+}
+
+// Step actions a script may use
+InteractionScript.ACTIONS = ['wait', 'scroll', 'click', 'resize'];
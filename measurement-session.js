@@ -0,0 +1,183 @@
+/**
+ * Measurement Session
+ * Owns every listener, timer, animation frame and observer one measurement run sets up,
+ * so stopping the run removes them all and a new run starts from nothing
+ *
+ * Callbacks registered through a session never run after it stops,
+ * even if the browser had already queued them; buffered performance entries
+ * from before it started can be told apart with includesEntry()
+ */
+class MeasurementSession {
+    constructor(name) {
+        this.name = name || 'session';
+        this.active = false;
+        this.disposed = false;
+        this.startTime = null;
+        this.listeners = [];
+        this.timeouts = new Set();
+        this.intervals = new Set();
+        this.frames = new Set();
+        this.observers = [];
+    }
+    
+    /**
+     * Start accepting work; a stopped session can be started again, a disposed one cannot
+     */
+    start() {
+        if (this.disposed) {
+            throw new Error(`Measurement session "${this.name}" was disposed`);
+        }
+        this.active = true;
+        this.startTime = performance.now();
+        return this;
+    }
+    
+    /**
+     * Check whether a performance entry happened while this session ran
+     * Observers created with buffered: true also get entries of earlier sessions
+     */
+    includesEntry(entry) {
+        return this.startTime !== null && entry.startTime >= this.startTime;
+    }
+    
+    /**
+     * Check whether the session is running
+     */
+    isActive() {
+        return this.active;
+    }
+    
+    /**
+     * Add an event listener that is removed when the session stops
+     * Returns a function that removes it early
+     */
+    listen(target, type, handler, options) {
+        if (!this.active) return () => {};
+        
+        const capture = typeof options === 'boolean' ? options : !!(options && options.capture);
+        const once = !!(options && typeof options === 'object' && options.once);
+        const entry = { target, type, capture };
+        
+        entry.listener = (event) => {
+            if (!this.active) return;
+            if (once) remove();
+            handler(event);
+        };
+        
+        const remove = () => {
+            target.removeEventListener(type, entry.listener, capture);
+            const index = this.listeners.indexOf(entry);
+            if (index >= 0) this.listeners.splice(index, 1);
+        };
+        
+        target.addEventListener(type, entry.listener, options);
+        this.listeners.push(entry);
+        return remove;
+    }
+    
+    /**
+     * Run a callback once the window has loaded (right away if it already has)
+     */
+    onLoad(callback) {
+        if (document.readyState === 'complete') {
+            return this.setTimeout(callback, 0);
+        }
+        return this.listen(window, 'load', callback, { once: true });
+    }
+    
+    /**
+     * setTimeout that is cleared when the session stops
+     */
+    setTimeout(callback, delay) {
+        if (!this.active) return null;
+        
+        const id = setTimeout(() => {
+            this.timeouts.delete(id);
+            if (this.active) callback();
+        }, delay);
+        this.timeouts.add(id);
+        return id;
+    }
+    
+    /**
+     * setInterval that is cleared when the session stops
+     */
+    setInterval(callback, delay) {
+        if (!this.active) return null;
+        
+        const id = setInterval(() => {
+            if (this.active) callback();
+        }, delay);
+        this.intervals.add(id);
+        return id;
+    }
+    
+    /**
+     * Clear an interval started through this session
+     */
+    clearInterval(id) {
+        clearInterval(id);
+        this.intervals.delete(id);
+    }
+    
+    /**
+     * requestAnimationFrame that is cancelled when the session stops
+     */
+    requestAnimationFrame(callback) {
+        if (!this.active) return null;
+        
+        const id = requestAnimationFrame((time) => {
+            this.frames.delete(id);
+            if (this.active) callback(time);
+        });
+        this.frames.add(id);
+        return id;
+    }
+    
+    /**
+     * Take ownership of an observer (PerformanceObserver, IntersectionObserver, ...)
+     * so it is disconnected when the session stops
+     */
+    observe(observer) {
+        if (!this.active) {
+            observer.disconnect();
+            return observer;
+        }
+        this.observers.push(observer);
+        return observer;
+    }
+    
+    /**
+     * Remove every listener, clear every timer and disconnect every observer
+     */
+    stop() {
+        this.active = false;
+        
+        this.listeners.forEach(({ target, type, listener, capture }) => {
+            target.removeEventListener(type, listener, capture);
+        });
+        this.listeners = [];
+        
+        this.timeouts.forEach(id => clearTimeout(id));
+        this.timeouts.clear();
+        this.intervals.forEach(id => clearInterval(id));
+        this.intervals.clear();
+        this.frames.forEach(id => cancelAnimationFrame(id));
+        this.frames.clear();
+        
+        this.observers.forEach(observer => {
+            if (observer && typeof observer.disconnect === 'function') {
+                observer.disconnect();
+            }
+        });
+        this.observers = [];
+    }
+    
+    /**
+     * Stop for good; the session can't be started again
+     */
+    dispose() {
+        this.stop();
+        this.disposed = true;
+    }
+}
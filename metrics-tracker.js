@@ -15,21 +15,36 @@ class PerformanceMetricsTracker {
             customLCP: null,
             lcs: {
                 elements: [],
-                threshold: 0.8,
+                threshold: CONFIG.lcs.threshold,
                 lastPaintTime: 0
-            }
+            },
+            lcsCandidates: new Map(),
+            lcsDefinitions: {},
+            imageSelections: []
         };
         
-        this.observers = [];
+        this.session = null;
+        this.monitoredImages = new WeakSet();
         this.paintEvents = [];
         this.lcpDisconnected = false;
+        this.lcpInput = null;
         this.callbacks = {};
     }
     
     /**
-     * Initialize metrics collection
+     * Initialize metrics collection in a new measurement session
+     * The previous session (if any) is disposed first, so calling init() again
+     * never leaves a second set of listeners, timers or observers behind
      */
     init() {
+        if (this.session) this.session.dispose();
+        this.session = new MeasurementSession('metrics').start();
+        this.monitoredImages = new WeakSet();
+        
+        // LCS settings are read per run, so a changed threshold applies to the next run
+        this.lcsSettings = this.getLcsSettings();
+        this.customMetrics.lcs.threshold = this.lcsSettings.threshold;
+        
         // Store navigation start time
         window.navigationStartTime = this.getNavigationStartTime();
         
@@ -42,14 +57,17 @@ class PerformanceMetricsTracker {
         // Set up observers for ongoing metrics
         this.observePaintTiming();
         this.observeLargestContentfulPaint();
+        this.observeLcpInput();
         this.observeLayoutShift();
+        this.observeInteractions();
+        this.observeLongFrames();
         
         // Set up Element Timing API if available
         this.setupElementTimingObserver();
         
         // Capture final metrics after page load
-        window.addEventListener('load', () => {
-            setTimeout(() => {
+        this.session.onLoad(() => {
+            this.session.setTimeout(() => {
                 this.captureNavigationTiming();
                 this.displayMetrics();
             }, 1000);
@@ -67,27 +85,50 @@ class PerformanceMetricsTracker {
      * This should be added to your metrics-tracker.js
      */
     initCrossBrowserTiming() {
-        // Graceful feature detection
-        const hasPerformanceObserver = typeof PerformanceObserver === 'function';
-        const hasElementTiming = hasPerformanceObserver && (() => {
-            try {
-                const test = new PerformanceObserver(() => {});
-                test.observe({entryTypes: ['element']});
-                test.disconnect();
-                return true;
-            } catch (e) {
-                return false;
-            }
-        })();
+        // Capabilities don't change between sessions, so they are detected once
+        if (!this.timingCapabilities) {
+            const hasPerformanceObserver = typeof PerformanceObserver === 'function';
+            const hasElementTiming = hasPerformanceObserver && (() => {
+                try {
+                    const test = new PerformanceObserver(() => {});
+                    test.observe({entryTypes: ['element']});
+                    test.disconnect();
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            })();
+            
+            this.timingCapabilities = { performanceObserver: hasPerformanceObserver, elementTiming: hasElementTiming };
+            console.log(`Browser timing capabilities: PerformanceObserver: ${hasPerformanceObserver}, ElementTiming: ${hasElementTiming}`);
+        }
         
-        console.log(`Browser timing capabilities: PerformanceObserver: ${hasPerformanceObserver}, ElementTiming: ${hasElementTiming}`);
+        // The unified timing system is kept across sessions; reset() clears its events
+        if (!this.unifiedTimingSystem) {
+            this.createUnifiedTimingSystem();
+        }
         
-        // Create a timestamp relative to navigation
-        this.getRelativeTimestamp = () => {
-            return performance.now();
-        };
+        // Set up Safari-compatible image load to paint monitoring
+        if (!this.timingCapabilities.elementTiming) {
+            document.querySelectorAll('.product-image').forEach(img => {
+                this.monitorImagePaint(img, {source: 'safari-compatible-monitor'});
+            });
+        }
         
-        // Create a unified timing system
+        return this.unifiedTimingSystem;
+    }
+    
+    /**
+     * Create a timestamp relative to navigation
+     */
+    getRelativeTimestamp() {
+        return performance.now();
+    }
+    
+    /**
+     * Create the unified timing system that records all timing events in one place
+     */
+    createUnifiedTimingSystem() {
         this.unifiedTimingSystem = {
             // Record all timing events in one place
             events: [],
@@ -115,55 +156,46 @@ class PerformanceMetricsTracker {
                 return null;
             }
         };
-        
-        // Set up Safari-compatible image load to paint monitoring
-        if (!hasElementTiming) {
-            this.monitorImagePaint = (img, metadata = {}) => {
-                // First detect load
-                const onLoad = () => {
-                    const loadTime = this.getRelativeTimestamp();
-                    this.unifiedTimingSystem.record('image-load', {
+    }
+    
+    /**
+     * Safari-compatible image load to paint monitoring (no Element Timing)
+     */
+    monitorImagePaint(img, metadata = {}) {
+        // First detect load
+        const onLoad = () => {
+            const loadTime = this.getRelativeTimestamp();
+            this.unifiedTimingSystem.record('image-load', {
+                element: img,
+                size: img.width * img.height,
+                src: img.src,
+                ...metadata
+            }, loadTime);
+            
+            // Then detect paint using double rAF technique
+            this.session.requestAnimationFrame(() => {
+                this.session.requestAnimationFrame(() => {
+                    const paintTime = this.getRelativeTimestamp();
+                    this.unifiedTimingSystem.record('image-paint', {
                         element: img,
                         size: img.width * img.height,
                         src: img.src,
+                        loadTime,
+                        delta: paintTime - loadTime,
                         ...metadata
-                    }, loadTime);
-                    
-                    // Then detect paint using double rAF technique
-                    requestAnimationFrame(() => {
-                        requestAnimationFrame(() => {
-                            const paintTime = this.getRelativeTimestamp();
-                            this.unifiedTimingSystem.record('image-paint', {
-                                element: img,
-                                size: img.width * img.height,
-                                src: img.src,
-                                loadTime,
-                                delta: paintTime - loadTime,
-                                ...metadata
-                            }, paintTime);
-                            
-                            // Update LCP/LCS as needed
-                            this.checkForLargestElement();
-                        });
-                    });
+                    }, paintTime);
                     
-                    img.removeEventListener('load', onLoad);
-                };
-                
-                if (img.complete) {
-                    onLoad();
-                } else {
-                    img.addEventListener('load', onLoad);
-                }
-            };
-            
-            // Apply to all product images
-            document.querySelectorAll('.product-image').forEach(img => {
-                this.monitorImagePaint(img, {source: 'safari-compatible-monitor'});
+                    // Update LCP/LCS as needed
+                    this.checkForLargestElement();
+                });
             });
-        }
+        };
         
-        return this.unifiedTimingSystem;
+        if (img.complete) {
+            onLoad();
+        } else {
+            this.session.listen(img, 'load', onLoad, { once: true });
+        }
     }
     
     /**
@@ -206,13 +238,13 @@ class PerformanceMetricsTracker {
      * Set up listener for visibility change to properly finalize LCP
      */
     setupVisibilityChangeListener() {
-        document.addEventListener('visibilitychange', () => {
+        this.session.listen(document, 'visibilitychange', () => {
             if (document.visibilityState === 'hidden' && !this.lcpDisconnected) {
                 console.log('Page hidden, finalizing LCP measurement');
                 this.lcpDisconnected = true;
                 
                 // Give a small delay to finalize LCP before displaying
-                setTimeout(() => this.displayMetrics(), 100);
+                this.session.setTimeout(() => this.displayMetrics(), 100);
             }
         });
     }
@@ -236,13 +268,26 @@ class PerformanceMetricsTracker {
             customLCP: null,
             lcs: {
                 elements: [],
-                threshold: 0.8,
+                threshold: CONFIG.lcs.threshold,
                 lastPaintTime: 0
-            }
+            },
+            lcsCandidates: new Map(),
+            lcsDefinitions: {},
+            imageSelections: []
         };
         
-        // Reset LCP disconnected flag
+        // Reset LCP disconnected flag and the input that ended LCP
         this.lcpDisconnected = false;
+        this.lcpInput = null;
+        
+        // Forget DOM changes noted for layout shift attribution
+        this.shiftCandidates = [];
+        
+        // Paint events and timing events belong to the previous run
+        this.paintEvents = [];
+        if (this.unifiedTimingSystem) {
+            this.unifiedTimingSystem.events = [];
+        }
         
         // Try to clear performance entries
         this.clearPerformanceEntries();
@@ -289,7 +334,10 @@ class PerformanceMetricsTracker {
                     domInteractive: navEntry.domInteractive,
                     domContentLoaded: navEntry.domContentLoadedEventEnd,
                     domComplete: navEntry.domComplete,
-                    loadEvent: navEntry.loadEventEnd
+                    loadEvent: navEntry.loadEventEnd,
+                    // Document request phases
+                    ttfb: navEntry.responseStart,
+                    ...this.getRequestPhases(navEntry)
                 };
             }
         } else if (window.performance && window.performance.timing) {
@@ -302,11 +350,156 @@ class PerformanceMetricsTracker {
                 domInteractive: timing.domInteractive - navigationStart,
                 domContentLoaded: timing.domContentLoadedEventEnd - navigationStart,
                 domComplete: timing.domComplete - navigationStart,
-                loadEvent: timing.loadEventEnd - navigationStart
+                loadEvent: timing.loadEventEnd - navigationStart,
+                ttfb: timing.responseStart - navigationStart,
+                redirect: timing.redirectEnd - timing.redirectStart,
+                dns: timing.domainLookupEnd - timing.domainLookupStart,
+                connect: timing.connectEnd - timing.connectStart,
+                tls: timing.secureConnectionStart > 0 ? timing.connectEnd - timing.secureConnectionStart : 0,
+                request: timing.responseStart - timing.requestStart,
+                response: timing.responseEnd - timing.responseStart
             };
         }
     }
     
+    /**
+     * Break a navigation or resource timing entry into request phases (ms)
+     */
+    getRequestPhases(entry) {
+        const span = (start, end) => (start > 0 && end >= start) ? end - start : 0;
+        
+        return {
+            redirect: span(entry.redirectStart, entry.redirectEnd),
+            dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+            connect: span(entry.connectStart, entry.connectEnd),
+            tls: span(entry.secureConnectionStart, entry.connectEnd),
+            request: span(entry.requestStart, entry.responseStart),
+            response: span(entry.responseStart, entry.responseEnd)
+        };
+    }
+    
+    /**
+     * Get the resource timing of a URL, relative to navigation start
+     * Returns null if the browser has no (or a cross-origin, opaque) entry
+     */
+    getResourceTiming(url) {
+        if (!url || !window.performance || !performance.getEntriesByName) return null;
+        
+        const absoluteUrl = new URL(url, document.baseURI).href;
+        const entries = performance.getEntriesByName(absoluteUrl, 'resource');
+        const entry = entries[entries.length - 1];
+        if (!entry) return null;
+        
+        // Cross-origin responses without Timing-Allow-Origin hide their phases
+        const hasDetail = entry.responseStart > 0;
+        const serverTiming = (entry.serverTiming || []).map(item => ({
+            name: item.name,
+            duration: item.duration
+        }));
+        
+        return {
+            url: absoluteUrl,
+            startTime: entry.startTime,
+            fetchStart: entry.fetchStart,
+            workerStart: entry.workerStart || 0,
+            requestStart: hasDetail ? entry.requestStart : null,
+            responseStart: hasDetail ? entry.responseStart : null,
+            responseEnd: entry.responseEnd,
+            duration: entry.duration,
+            transferSize: entry.transferSize || 0,
+            encodedBodySize: entry.encodedBodySize || 0,
+            decodedBodySize: entry.decodedBodySize || 0,
+            hasDetail,
+            serverTiming,
+            ...this.getRequestPhases(entry)
+        };
+    }
+    
+    /**
+     * Record which image candidate the browser picked and how much of it is wasted
+     * Wasted pixels are those beyond what the displayed size needs at the current DPR;
+     * wasted bytes are estimated in proportion to wasted pixels
+     */
+    recordImageSelection(img, index) {
+        if (!img || !img.naturalWidth) return null;
+        
+        const rect = img.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        const objectFit = window.getComputedStyle(img).objectFit || 'fill';
+        const naturalWidth = img.naturalWidth;
+        const naturalHeight = img.naturalHeight;
+        
+        // Scale from natural to CSS pixels, depending on how the image is fitted
+        const scaleX = rect.width / naturalWidth;
+        const scaleY = rect.height / naturalHeight;
+        const renderedScale = objectFit === 'cover' ? Math.max(scaleX, scaleY) :
+                              objectFit === 'contain' || objectFit === 'scale-down' ? Math.min(scaleX, scaleY) :
+                              Math.sqrt(scaleX * scaleY);
+        
+        const naturalPixels = naturalWidth * naturalHeight;
+        const neededPixels = Math.min(naturalPixels * Math.pow(renderedScale * dpr, 2), naturalPixels);
+        const wastedPixels = naturalPixels - neededPixels;
+        
+        // Width a candidate of the same aspect ratio needs to stay sharp
+        const aspect = naturalWidth / naturalHeight;
+        const requiredWidth = dpr * (objectFit === 'cover' ? Math.max(rect.width, rect.height * aspect) :
+                                     objectFit === 'contain' ? Math.min(rect.width, rect.height * aspect) :
+                                     rect.width);
+        
+        const candidates = this.parseSrcset(img.getAttribute('srcset'));
+        const currentSrc = img.currentSrc || img.src;
+        const chosen = candidates.find(candidate => candidate.url === currentSrc) || null;
+        const ideal = candidates
+            .filter(candidate => candidate.width >= requiredWidth)
+            .sort((a, b) => a.width - b.width)[0] || candidates.sort((a, b) => b.width - a.width)[0] || null;
+        
+        // Decode-before-swap images show a blob URL; data-src is the URL that was fetched
+        const timing = this.getResourceTiming(img.dataset.src || currentSrc);
+        const bytes = timing ? (timing.encodedBodySize || timing.transferSize) : null;
+        
+        const selection = {
+            index,
+            currentSrc,
+            usedSrcset: candidates.length > 0,
+            chosenDescriptor: chosen ? chosen.descriptor : null,
+            idealDescriptor: ideal ? ideal.descriptor : null,
+            naturalWidth,
+            naturalHeight,
+            displayedWidth: Math.round(rect.width),
+            displayedHeight: Math.round(rect.height),
+            devicePixelRatio: dpr,
+            objectFit,
+            requiredWidth: Math.round(requiredWidth),
+            naturalPixels,
+            wastedPixels: Math.round(wastedPixels),
+            wastedPixelRatio: wastedPixels / naturalPixels,
+            bytes,
+            wastedBytes: bytes !== null ? Math.round(bytes * wastedPixels / naturalPixels) : null
+        };
+        
+        this.customMetrics.imageSelections = this.customMetrics.imageSelections
+            .filter(item => item.index !== index)
+            .concat(selection);
+        
+        return selection;
+    }
+    
+    /**
+     * Parse a srcset attribute into absolute URLs with width/density descriptors
+     */
+    parseSrcset(srcset) {
+        if (!srcset) return [];
+        
+        return srcset.split(',').map(part => {
+            const [url, descriptor = '1x'] = part.trim().split(/\s+/);
+            return {
+                url: new URL(url, document.baseURI).href,
+                descriptor,
+                width: descriptor.endsWith('w') ? parseInt(descriptor) : null
+            };
+        }).filter(candidate => candidate.url);
+    }
+    
     /**
      * Observe paint timing events (FP, FCP)
      */
@@ -333,7 +526,7 @@ class PerformanceMetricsTracker {
                 });
                 
                 paintObserver.observe({ entryTypes: ['paint'] });
-                this.observers.push(paintObserver);
+                this.session.observe(paintObserver);
             } catch (e) {
                 console.warn('Paint timing observer not supported', e);
             }
@@ -361,7 +554,7 @@ class PerformanceMetricsTracker {
                 });
                 
                 elementObserver.observe({ entryTypes: ['element'] });
-                this.observers.push(elementObserver);
+                this.session.observe(elementObserver);
             } catch (e) {
                 console.warn('Element timing observer not supported', e);
             }
@@ -376,11 +569,14 @@ class PerformanceMetricsTracker {
             try {
                 // Try the standard approach for Chrome/Firefox
                 const lcpObserver = new PerformanceObserver((entryList) => {
-                    const entries = entryList.getEntries();
+                    const entries = entryList.getEntries().filter(entry => this.session.includesEntry(entry));
                     const lastEntry = entries[entries.length - 1];
                     
                     if (!lastEntry) return;
                     
+                    // Buffered entries may arrive after input; only paints before it count
+                    if (this.lcpInput && lastEntry.startTime > this.lcpInput.time) return;
+                    
                     // Skip entries with unusually large times (likely errors)
                     if (lastEntry.startTime > 30000) {
                         console.warn(`Unusually high LCP time detected (${lastEntry.startTime.toFixed(2)}ms), ignoring.`);
@@ -421,12 +617,12 @@ class PerformanceMetricsTracker {
                         type: 'largest-contentful-paint', 
                         buffered: true 
                     });
-                    this.observers.push(lcpObserver);
+                    this.session.observe(lcpObserver);
                 } catch (err) {
                     // Fallback to older syntax for Safari
                     console.log('Using fallback LCP observer approach');
                     lcpObserver.observe({ entryTypes: ['largest-contentful-paint'] });
-                    this.observers.push(lcpObserver);
+                    this.session.observe(lcpObserver);
                 }
                 
                 // For Safari, add a fallback approach
@@ -446,6 +642,40 @@ class PerformanceMetricsTracker {
         }
     }
     
+    /**
+     * Stop LCP candidates at the first user input, as the LCP spec does:
+     * keydown, mousedown/pointerdown and user scrolling end the measurement
+     * Scripted scrolling (auto-scroll) is not input and leaves LCP running, as in browsers,
+     * so wheel and touchmove stand in for the scroll gestures of a real user
+     */
+    observeLcpInput() {
+        const inputTypes = ['keydown', 'mousedown', 'pointerdown', 'wheel', 'touchmove'];
+        
+        const onInput = (event) => {
+            if (!event.isTrusted) return;
+            
+            removeListeners.forEach(remove => remove());
+            this.markLcpInput(event.type, false);
+        };
+        
+        const removeListeners = inputTypes.map(type => {
+            return this.session.listen(window, type, onInput, { capture: true, passive: true });
+        });
+    }
+    
+    /**
+     * Record the input that ends LCP (first one only)
+     * Scripted replays (see InteractionScript) pass scripted = true
+     */
+    markLcpInput(type, scripted) {
+        if (this.lcpInput) return;
+        
+        this.lcpInput = { type: type, time: performance.now(), scripted: !!scripted };
+        
+        console.log(`LCP finalized by ${scripted ? 'scripted ' : ''}${type} at ${this.lcpInput.time.toFixed(2)}ms`);
+        this.displayMetrics();
+    }
+    
     /**
      * Initialize fallback mechanisms for LCP in Safari or other browsers
      * that don't support the standard API
@@ -455,34 +685,34 @@ class PerformanceMetricsTracker {
         
         // Check for largest element once DOM is interactive
         if (document.readyState === 'complete' || document.readyState === 'interactive') {
-            setTimeout(() => this.checkForLargestElement(), 500);
+            this.session.setTimeout(() => this.checkForLargestElement(), 500);
         } else {
-            document.addEventListener('DOMContentLoaded', () => {
-                setTimeout(() => this.checkForLargestElement(), 500);
-            });
+            this.session.listen(document, 'DOMContentLoaded', () => {
+                this.session.setTimeout(() => this.checkForLargestElement(), 500);
+            }, { once: true });
         }
         
         // Check again after images have loaded
-        window.addEventListener('load', () => {
-            setTimeout(() => this.checkForLargestElement(), 1000);
+        this.session.onLoad(() => {
+            this.session.setTimeout(() => this.checkForLargestElement(), 1000);
         });
         
         // Listen for image loads to update LCP
-        document.addEventListener('load', (event) => {
+        this.session.listen(document, 'load', (event) => {
             if (event.target.tagName === 'IMG') {
-                setTimeout(() => this.checkForLargestElement(), 100);
+                this.session.setTimeout(() => this.checkForLargestElement(), 100);
             }
         }, true);
         
         // Set up a periodic check to catch late-loading content
         let checkCount = 0;
         const maxChecks = 5;
-        const checkInterval = setInterval(() => {
+        const checkInterval = this.session.setInterval(() => {
             this.checkForLargestElement();
             checkCount++;
             
             if (checkCount >= maxChecks) {
-                clearInterval(checkInterval);
+                this.session.clearInterval(checkInterval);
             }
         }, 1000);
     }
@@ -491,6 +721,9 @@ class PerformanceMetricsTracker {
      * Check for the largest element - used for LCP fallback
      */
     checkForLargestElement() {
+        // No new LCP candidates after user input
+        if (this.lcpInput) return;
+        
         // Check large visible elements - common LCP candidates
         const candidates = [
             ...Array.from(document.querySelectorAll('img')),
@@ -598,56 +831,421 @@ class PerformanceMetricsTracker {
     
     /**
      * Observe Cumulative Layout Shift (CLS)
+     * Uses session windows: shifts less than 1s apart are grouped into a window
+     * of at most 5s, and CLS is the largest window's total
      */
     observeLayoutShift() {
         if ('PerformanceObserver' in window) {
             try {
                 let clsValue = 0;
                 let clsEntries = [];
+                let sessionValue = 0;
+                let sessionEntries = [];
+                let sessionCount = 0;
+                
+                this.layoutShifts = [];
                 
                 const clsObserver = new PerformanceObserver((entryList) => {
                     for (const entry of entryList.getEntries()) {
-                        // Only count layout shifts without recent user input
-                        if (!entry.hadRecentInput) {
-                            clsValue += entry.value;
-                            clsEntries.push(entry);
+                        // Only count layout shifts of this session without recent user input
+                        if (entry.hadRecentInput || !this.session.includesEntry(entry)) continue;
+                        
+                        const firstEntry = sessionEntries[0];
+                        const lastEntry = sessionEntries[sessionEntries.length - 1];
+                        
+                        if (sessionEntries.length > 0 &&
+                            entry.startTime - lastEntry.startTime < CONFIG.performance.cls.sessionGap &&
+                            entry.startTime - firstEntry.startTime < CONFIG.performance.cls.sessionMaxDuration) {
+                            sessionValue += entry.value;
+                            sessionEntries.push(entry);
+                        } else {
+                            sessionValue = entry.value;
+                            sessionEntries = [entry];
+                            sessionCount++;
+                        }
+                        
+                        if (sessionValue > clsValue) {
+                            clsValue = sessionValue;
+                            clsEntries = [...sessionEntries];
                         }
+                        
+                        this.layoutShifts.push(this.attributeLayoutShift(entry, sessionCount));
                     }
                     
                     this.metrics.webVitals.cls = {
                         value: clsValue,
-                        entries: clsEntries
+                        rating: this.getRating(clsValue, CONFIG.performance.cls),
+                        entries: clsEntries,
+                        windowStart: clsEntries.length > 0 ? clsEntries[0].startTime : null,
+                        windowEnd: clsEntries.length > 0 ? clsEntries[clsEntries.length - 1].startTime : null,
+                        sessionCount: sessionCount,
+                        totalShifts: this.layoutShifts.length,
+                        shifts: this.layoutShifts,
+                        sources: this.summarizeShiftSources()
                     };
                     
                     this.displayMetrics();
                 });
                 
-                clsObserver.observe({ entryTypes: ['layout-shift'] });
-                this.observers.push(clsObserver);
+                clsObserver.observe({ type: 'layout-shift', buffered: true });
+                this.session.observe(clsObserver);
             } catch (e) {
                 console.warn('CLS observer not supported', e);
             }
         }
     }
     
+    /**
+     * Note a DOM change that may cause layout shifts (e.g. an LQIP swap)
+     * so shifts right after it can be attributed to it
+     */
+    markShiftCandidate(label, element) {
+        const now = performance.now();
+        
+        // Changes older than the attribution window can't explain new shifts
+        this.shiftCandidates = (this.shiftCandidates || []).filter(item => 
+            now - item.time < PerformanceMetricsTracker.SHIFT_ATTRIBUTION_WINDOW
+        );
+        
+        const card = element && element.closest ? element.closest('.product-item') : null;
+        this.shiftCandidates.push({
+            label,
+            time: now,
+            card
+        });
+    }
+    
+    /**
+     * Describe a layout shift entry and the nodes that moved
+     */
+    attributeLayoutShift(entry, sessionIndex) {
+        const toRect = (rect) => rect ? {
+            x: Math.round(rect.x),
+            y: Math.round(rect.y),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+        } : null;
+        
+        const sources = (entry.sources || []).map(source => {
+            // Text nodes move with their parent element
+            const node = source.node && source.node.nodeType !== 1 ? source.node.parentElement : source.node;
+            const card = node && node.closest ? node.closest('.product-item') : null;
+            const cardImage = card ? card.querySelector('.product-image') : null;
+            
+            let label = node ? this.formatElementInfo(node) : '(removed node)';
+            if (node && node.classList.contains('status-badge')) {
+                label = 'Status badge';
+            } else if (node && node.classList.contains('product-item')) {
+                label = 'Product card';
+            }
+            if (cardImage) {
+                label += ` - Product ${parseInt(cardImage.dataset.index) + 1}`;
+            }
+            
+            // Was this card changed (e.g. LQIP swap) just before the shift?
+            const candidate = (this.shiftCandidates || []).filter(item => 
+                item.time <= entry.startTime + 1 &&
+                entry.startTime - item.time < PerformanceMetricsTracker.SHIFT_ATTRIBUTION_WINDOW &&
+                (!item.card || item.card === card)
+            ).pop();
+            
+            return {
+                label,
+                likelyCause: candidate ? candidate.label : null,
+                previousRect: toRect(source.previousRect),
+                currentRect: toRect(source.currentRect)
+            };
+        });
+        
+        return {
+            startTime: entry.startTime,
+            value: entry.value,
+            sessionIndex,
+            sources
+        };
+    }
+    
+    /**
+     * Total shift score per source label, largest first
+     * A shift's full score is credited to every node it moved
+     */
+    summarizeShiftSources() {
+        const totals = {};
+        
+        this.layoutShifts.forEach(shift => {
+            shift.sources.forEach(source => {
+                if (!totals[source.label]) {
+                    totals[source.label] = { label: source.label, value: 0, count: 0, causes: [] };
+                }
+                totals[source.label].value += shift.value;
+                totals[source.label].count++;
+                if (source.likelyCause && !totals[source.label].causes.includes(source.likelyCause)) {
+                    totals[source.label].causes.push(source.likelyCause);
+                }
+            });
+        });
+        
+        return Object.values(totals).sort((a, b) => b.value - a.value);
+    }
+    
+    /**
+     * Observe Long Animation Frames (LoAF), falling back to Long Tasks
+     * Used to explain large load-to-paint gaps
+     */
+    observeLongFrames() {
+        this.longFrames = [];
+        
+        if (!('PerformanceObserver' in window)) return;
+        
+        const supportedTypes = PerformanceObserver.supportedEntryTypes || [];
+        const entryType = supportedTypes.includes('long-animation-frame') ? 'long-animation-frame' :
+                          supportedTypes.includes('longtask') ? 'longtask' : null;
+        
+        if (!entryType) {
+            console.warn('Neither Long Animation Frames nor Long Tasks are supported');
+            return;
+        }
+        
+        try {
+            const longFrameObserver = new PerformanceObserver((entryList) => {
+                entryList.getEntries().filter(entry => this.session.includesEntry(entry)).forEach(entry => {
+                    this.longFrames.push(entryType === 'long-animation-frame'
+                        ? this.describeLongAnimationFrame(entry)
+                        : this.describeLongTask(entry));
+                });
+                this.emit('longFrameUpdate', this.longFrames);
+            });
+            
+            longFrameObserver.observe({ type: entryType, buffered: true });
+            this.session.observe(longFrameObserver);
+            console.log(`Observing ${entryType} entries for paint delay attribution`);
+        } catch (e) {
+            console.warn('Long frame observer not supported', e);
+        }
+    }
+    
+    /**
+     * Reduce a long-animation-frame entry to plain data with script attribution
+     */
+    describeLongAnimationFrame(entry) {
+        const scripts = (entry.scripts || []).map(script => ({
+            invoker: script.invoker,
+            invokerType: script.invokerType,
+            sourceURL: script.sourceURL,
+            sourceFunctionName: script.sourceFunctionName,
+            sourceCharPosition: script.sourceCharPosition,
+            startTime: script.startTime,
+            duration: script.duration,
+            forcedStyleAndLayoutDuration: script.forcedStyleAndLayoutDuration
+        })).sort((a, b) => b.duration - a.duration);
+        
+        return {
+            entryType: 'long-animation-frame',
+            startTime: entry.startTime,
+            duration: entry.duration,
+            endTime: entry.startTime + entry.duration,
+            blockingDuration: entry.blockingDuration,
+            renderStart: entry.renderStart,
+            styleAndLayoutStart: entry.styleAndLayoutStart,
+            scripts
+        };
+    }
+    
+    /**
+     * Reduce a longtask entry to plain data (attribution is container-level only)
+     */
+    describeLongTask(entry) {
+        const attribution = (entry.attribution || [])[0];
+        
+        return {
+            entryType: 'longtask',
+            startTime: entry.startTime,
+            duration: entry.duration,
+            endTime: entry.startTime + entry.duration,
+            blockingDuration: Math.max(entry.duration - 50, 0),
+            scripts: attribution ? [{
+                invoker: attribution.containerSrc || attribution.containerName || attribution.name,
+                invokerType: attribution.containerType || attribution.name,
+                sourceURL: attribution.containerSrc || '',
+                sourceFunctionName: '',
+                duration: entry.duration
+            }] : []
+        };
+    }
+    
+    /**
+     * Get long frames overlapping a time interval (relative to navigation start)
+     */
+    getLongFramesBetween(start, end) {
+        return (this.longFrames || [])
+            .filter(frame => frame.startTime < end && frame.endTime > start)
+            .map(frame => ({
+                ...frame,
+                overlap: Math.min(frame.endTime, end) - Math.max(frame.startTime, start)
+            }));
+    }
+    
+    /**
+     * Describe the main script of a long frame, e.g. "image-loader.js:onLowResLoad"
+     */
+    describeLongFrameScript(frame) {
+        const script = frame.scripts[0];
+        if (!script) {
+            return frame.entryType === 'longtask' ? 'an unattributed long task' : 'rendering work (no script attribution)';
+        }
+        
+        const file = script.sourceURL ? script.sourceURL.split('/').pop().split('?')[0] : '';
+        const name = script.sourceFunctionName || script.invoker || 'anonymous';
+        return file ? `${file}:${name}` : name;
+    }
+    
+    /**
+     * Observe Event Timing entries for Interaction to Next Paint (INP)
+     */
+    observeInteractions() {
+        if (!('PerformanceObserver' in window) || !('PerformanceEventTiming' in window)) {
+            console.warn('Event Timing API not supported, INP will not be measured');
+            return;
+        }
+        
+        // Interactions keyed by interactionId, plus the longest few for INP selection
+        this.interactions = new Map();
+        this.longestInteractions = [];
+        this.interactionCountStart = performance.interactionCount || 0;
+        
+        try {
+            const eventObserver = new PerformanceObserver((entryList) => {
+                entryList.getEntries().forEach(entry => this.processEventEntry(entry));
+                this.updateINP();
+            });
+            
+            eventObserver.observe({ type: 'event', buffered: true, durationThreshold: 16 });
+            this.session.observe(eventObserver);
+            
+            // first-input is reported even when faster than the duration threshold
+            const firstInputObserver = new PerformanceObserver((entryList) => {
+                entryList.getEntries().forEach(entry => this.processEventEntry(entry));
+                this.updateINP();
+            });
+            
+            firstInputObserver.observe({ type: 'first-input', buffered: true });
+            this.session.observe(firstInputObserver);
+        } catch (e) {
+            console.warn('Event timing observer not supported', e);
+        }
+    }
+    
+    /**
+     * Group an event entry into its interaction
+     * An interaction's latency is the longest duration of its events
+     */
+    processEventEntry(entry) {
+        // Buffered entries of earlier sessions were already counted there
+        if (!entry.interactionId || !this.session.includesEntry(entry)) return;
+        
+        let interaction = this.interactions.get(entry.interactionId);
+        if (!interaction) {
+            interaction = {
+                interactionId: entry.interactionId,
+                entries: [],
+                latency: 0
+            };
+            this.interactions.set(entry.interactionId, interaction);
+        }
+        
+        // first-input duplicates the matching event entry
+        const isDuplicate = interaction.entries.some(existing => 
+            existing.name === entry.name && existing.startTime === entry.startTime
+        );
+        if (!isDuplicate) {
+            interaction.entries.push(entry);
+        }
+        interaction.latency = Math.max(interaction.latency, entry.duration);
+        
+        // Keep the 10 longest interactions, enough for the p98 approximation below
+        const existingIndex = this.longestInteractions.indexOf(interaction);
+        if (existingIndex < 0) {
+            this.longestInteractions.push(interaction);
+        }
+        this.longestInteractions.sort((a, b) => b.latency - a.latency);
+        this.longestInteractions.splice(10);
+    }
+    
+    /**
+     * Select INP from the observed interactions
+     * Ignores one of the longest interactions for every 50 (high-percentile selection)
+     */
+    updateINP() {
+        if (this.longestInteractions.length === 0) return;
+        
+        const candidateIndex = Math.min(
+            this.longestInteractions.length - 1,
+            Math.floor(this.getInteractionCount() / 50)
+        );
+        const interaction = this.longestInteractions[candidateIndex];
+        
+        this.metrics.webVitals.inp = {
+            value: interaction.latency,
+            rating: this.getRating(interaction.latency, CONFIG.performance.inp),
+            interactionCount: this.getInteractionCount(),
+            ...this.getInteractionBreakdown(interaction)
+        };
+        
+        this.displayMetrics();
+    }
+    
+    /**
+     * Count the interactions since observing started
+     * Interactions faster than the event duration threshold have no entries, so
+     * performance.interactionCount is used where the browser provides it
+     */
+    getInteractionCount() {
+        if (typeof performance.interactionCount === 'number') {
+            return Math.max(performance.interactionCount - this.interactionCountStart, this.interactions.size);
+        }
+        return this.interactions.size;
+    }
+    
+    /**
+     * Split an interaction's latency into input delay, processing and presentation
+     */
+    getInteractionBreakdown(interaction) {
+        const entries = [...interaction.entries].sort((a, b) => a.startTime - b.startTime);
+        const first = entries[0];
+        const longest = entries.reduce((max, entry) => entry.duration > max.duration ? entry : max, first);
+        
+        const processingStart = Math.min(...entries.map(entry => entry.processingStart));
+        const processingEnd = Math.max(...entries.map(entry => entry.processingEnd));
+        const endTime = first.startTime + interaction.latency;
+        
+        return {
+            eventType: longest.name,
+            target: longest.target ? this.formatElementInfo(longest.target) : 'unknown',
+            startTime: first.startTime,
+            inputDelay: Math.max(processingStart - first.startTime, 0),
+            processingTime: Math.max(processingEnd - processingStart, 0),
+            presentationDelay: Math.max(endTime - processingEnd, 0)
+        };
+    }
+    
     /**
      * Initialize Large Contentful Set (LCS) tracking
      */
     initLargeContentfulSetTracking() {
         // Set up tracking for product images specifically
-        document.addEventListener('DOMContentLoaded', () => {
+        this.session.listen(document, 'DOMContentLoaded', () => {
             this.monitorProductImages();
             this.scanForLargeElements();
-        });
+        }, { once: true });
         
         // Check again after window load
-        window.addEventListener('load', () => {
-            setTimeout(() => {
+        this.session.onLoad(() => {
+            this.session.setTimeout(() => {
                 this.monitorProductImages();
                 this.scanForLargeElements();
                 
                 // Final check for large elements
-                setTimeout(() => {
+                this.session.setTimeout(() => {
                     this.scanForLargeElements();
                     this.filterLargeElements();
                     this.displayMetrics();
@@ -663,9 +1261,9 @@ class PerformanceMetricsTracker {
         const productImages = document.querySelectorAll('.product-image');
         
         productImages.forEach(img => {
-            // Skip if already monitored
-            if (img.dataset.monitored) return;
-            img.dataset.monitored = 'true';
+            // Skip if already monitored in this session
+            if (this.monitoredImages.has(img)) return;
+            this.monitoredImages.add(img);
             
             // Function to check image rendering
             const checkImageRender = () => {
@@ -680,8 +1278,8 @@ class PerformanceMetricsTracker {
                         }
                     });
                 } else {
-                    requestAnimationFrame(() => {
-                        requestAnimationFrame(checkImageRender);
+                    this.session.requestAnimationFrame(() => {
+                        this.session.requestAnimationFrame(checkImageRender);
                     });
                 }
             };
@@ -690,7 +1288,7 @@ class PerformanceMetricsTracker {
             if (img.complete) {
                 checkImageRender();
             } else {
-                img.addEventListener('load', () => {
+                this.session.listen(img, 'load', () => {
                     // Record load event
                     this.recordPaintEvent({
                         element: img,
@@ -747,6 +1345,9 @@ class PerformanceMetricsTracker {
     recordPaintEvent(eventData) {
         const { element, time, type, metadata = {} } = eventData;
         
+        // Fallback images of failed loads aren't content paints
+        if (element.dataset && element.dataset.fallback) return;
+        
         // Get element measurements
         const rect = element.getBoundingClientRect();
         const area = rect.width * rect.height;
@@ -773,8 +1374,11 @@ class PerformanceMetricsTracker {
         // Update custom LCP tracking
         this.updateCustomLCP(element, paintEvent);
         
-        // Update Large Contentful Set
+        // Update Large Contentful Set and the alternative set definitions once per paint,
+        // then tell listeners so they never see definitions of the previous paint
         this.updateLCS(element, paintEvent);
+        this.updateLcsDefinitions();
+        this.emit('lcsUpdate', this.customMetrics.lcs);
         
         // Emit event for UI updates
         this.emit('paintEvent', paintEvent);
@@ -786,6 +1390,9 @@ class PerformanceMetricsTracker {
     updateCustomLCP(element, paintEvent) {
         const area = paintEvent.area;
         
+        // Like native LCP, stop at the first user input
+        if (this.lcpInput && paintEvent.time > this.lcpInput.time) return;
+        
         // Check if this is larger than current largest
         if (!this.customMetrics.customLCP || area > this.customMetrics.customLCP.size) {
             // Create new custom LCP metric
@@ -819,6 +1426,9 @@ class PerformanceMetricsTracker {
             area = largestImage.offsetWidth * largestImage.offsetHeight;
         }
         
+        // Every element seen is a candidate for the alternative set definitions
+        this.recordLcsCandidate(effectiveElement, area, paintEvent);
+        
         // If no elements or empty set, initialize with this element
         if (this.customMetrics.lcs.elements.length === 0) {
             this.customMetrics.lcs.elements.push({
@@ -884,9 +1494,6 @@ class PerformanceMetricsTracker {
                 );
             }
         }
-        
-        // Emit event for UI updates
-        this.emit('lcsUpdate', this.customMetrics.lcs);
     }
     
     /**
@@ -914,7 +1521,7 @@ class PerformanceMetricsTracker {
                     // Only keep DIVs that are significantly larger than images
                     this.customMetrics.lcs.elements = this.customMetrics.lcs.elements.filter(item => 
                         item.element.tagName === 'IMG' || 
-                        item.area > largestImageArea * 1.5
+                        item.area > largestImageArea * this.lcsSettings.containerRatio
                     );
                     
                     // Recalculate last paint time if needed
@@ -930,9 +1537,197 @@ class PerformanceMetricsTracker {
         }
         
         // Emit updated LCS data
+        this.updateLcsDefinitions();
         this.emit('lcsUpdate', this.customMetrics.lcs);
     }
     
+    /**
+     * Read the LCS settings: the threshold comes from the LCS threshold control,
+     * top-K and viewport coverage from the lcsTopK/lcsCoverage URL parameters (see CONFIG.lcs)
+     */
+    getLcsSettings() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const control = document.getElementById('lcs-threshold');
+        const readShare = (value, fallback) => {
+            const share = parseFloat(value);
+            return share > 0 && share <= 1 ? share : fallback;
+        };
+        const topK = parseInt(urlParams.get('lcsTopK'));
+        
+        return {
+            threshold: readShare(control ? control.value : urlParams.get('lcsThreshold'), CONFIG.lcs.threshold),
+            containerRatio: CONFIG.lcs.containerRatio,
+            topK: topK > 0 ? topK : CONFIG.lcs.topK,
+            coverage: readShare(urlParams.get('lcsCoverage'), CONFIG.lcs.coverage)
+        };
+    }
+    
+    /**
+     * Remember an element's latest paint with its full and viewport-clipped area
+     */
+    recordLcsCandidate(element, area, paintEvent) {
+        const rect = element.getBoundingClientRect();
+        const visibleWidth = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0));
+        const visibleHeight = Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+        
+        this.customMetrics.lcsCandidates.set(element, {
+            element: element,
+            area: area,
+            visibleArea: visibleWidth * visibleHeight,
+            paintTime: paintEvent.time,
+            paintType: paintEvent.type
+        });
+    }
+    
+    /**
+     * Recompute every LCS definition so they can be compared on the same run
+     * "threshold" is the LCS itself; the others come from PerformanceMetricsTracker.LCS_DEFINITIONS
+     */
+    updateLcsDefinitions() {
+        const candidates = Array.from(this.customMetrics.lcsCandidates.values());
+        const viewportArea = window.innerWidth * window.innerHeight;
+        
+        const describeSet = (label, description, elements) => {
+            const visibleArea = elements.reduce((sum, item) => sum + item.visibleArea, 0);
+            return {
+                label: label,
+                description: description,
+                elements: elements,
+                lastPaintTime: elements.length > 0 ? Math.max(...elements.map(item => item.paintTime)) : null,
+                viewportCoverage: viewportArea > 0 ? visibleArea / viewportArea : null
+            };
+        };
+        
+        const definitions = {
+            threshold: describeSet(
+                'Area threshold (LCS)',
+                `at least ${Math.round(this.lcsSettings.threshold * 100)}% of the largest area`,
+                this.customMetrics.lcs.elements
+                    .map(item => this.customMetrics.lcsCandidates.get(item.element))
+                    .filter(Boolean)
+            )
+        };
+        
+        Object.entries(PerformanceMetricsTracker.LCS_DEFINITIONS).forEach(([name, definition]) => {
+            definitions[name] = describeSet(
+                definition.label,
+                definition.describe(this.lcsSettings),
+                definition.select(candidates, this.lcsSettings, viewportArea)
+            );
+        });
+        
+        this.customMetrics.lcsDefinitions = definitions;
+    }
+    
+    /**
+     * Log why the LCS is led by the element it is (console debugging aid)
+     * A container DIV leading the set usually means its images measured smaller
+     */
+    analyzeLCSSelection() {
+        const lcs = this.customMetrics.lcs;
+        if (lcs.elements.length === 0) {
+            console.log("No LCS data available");
+            return;
+        }
+        
+        console.log("Analyzing LCS selection...");
+        
+        const largestElement = [...lcs.elements].sort((a, b) => b.area - a.area)[0];
+        console.log("Largest element:", {
+            type: largestElement.element.tagName,
+            class: largestElement.element.className,
+            id: largestElement.element.id,
+            area: largestElement.area,
+            paintTime: largestElement.paintEvent.time.toFixed(2) + 'ms'
+        });
+        
+        if (largestElement.element.tagName !== 'DIV') return;
+        
+        console.log("Examining why DIV was chosen instead of IMG...");
+        console.log(`DIV contains ${largestElement.element.querySelectorAll('img').length} images`);
+        
+        const rect = largestElement.element.getBoundingClientRect();
+        console.log("DIV dimensions:", {
+            width: rect.width,
+            height: rect.height,
+            area: rect.width * rect.height
+        });
+        
+        // Product images measured the same way, for comparison
+        const productImageData = Array.from(document.querySelectorAll('.product-image')).map(img => {
+            const imgRect = img.getBoundingClientRect();
+            return {
+                index: img.dataset.index,
+                naturalWidth: img.naturalWidth,
+                naturalHeight: img.naturalHeight,
+                displayWidth: imgRect.width,
+                displayHeight: imgRect.height,
+                area: imgRect.width * imgRect.height,
+                complete: img.complete
+            };
+        });
+        console.log("Product images for comparison:", productImageData);
+        
+        if (largestElement.area > productImageData.reduce((max, img) => Math.max(max, img.area), 0) * 1.5) {
+            console.log("Analysis: DIV is significantly larger than any product image");
+            console.log("Recommendation: Adjust LCS threshold or filter DIV elements");
+        } else {
+            console.log("Analysis: Inconsistent sizing measurement between elements");
+            console.log("Recommendation: Use same measurement technique for all elements");
+        }
+    }
+    
+    /**
+     * Log likely reasons native and custom LCP differ (console debugging aid)
+     */
+    diagnoseLCPDiscrepancy() {
+        const nativeLCP = this.metrics.webVitals.lcp;
+        const customLCP = this.customMetrics.customLCP;
+        
+        if (!nativeLCP || !customLCP) {
+            console.log("Both native and custom LCP data required for diagnosis");
+            return;
+        }
+        
+        console.log("Diagnosing LCP discrepancy...");
+        console.log("Native LCP:", {
+            element: nativeLCP.element,
+            class: nativeLCP.elementClass,
+            size: nativeLCP.size,
+            time: nativeLCP.value.toFixed(2) + 'ms',
+            loadTime: nativeLCP.loadTime,
+            renderTime: nativeLCP.renderTime
+        });
+        console.log("Custom LCP:", {
+            element: customLCP.element,
+            class: customLCP.elementClass,
+            size: customLCP.size,
+            time: customLCP.value.toFixed(2) + 'ms'
+        });
+        
+        const timeDiff = Math.abs(nativeLCP.value - customLCP.value);
+        console.log(`Time difference: ${timeDiff.toFixed(2)}ms (${((timeDiff / nativeLCP.value) * 100).toFixed(1)}%)`);
+        
+        const reasons = [];
+        if (nativeLCP.element !== customLCP.element || nativeLCP.elementClass !== customLCP.elementClass) {
+            reasons.push("Different elements identified as LCP");
+        }
+        if (Math.abs(nativeLCP.size - customLCP.size) > 1000) {
+            reasons.push("Significant difference in measured element size");
+        }
+        if (timeDiff > 500) {
+            reasons.push("Chrome may include additional processing time in LCP calculation");
+            reasons.push("Chrome's algorithm may account for content stabilization time");
+            reasons.push("Timing API differences between custom implementation and browser");
+        }
+        console.log("Potential reasons for discrepancy:", reasons);
+        
+        console.log("Recommendations:");
+        console.log("1. For consistent cross-browser metrics, use the custom implementation");
+        console.log("2. For Chrome-specific performance optimization, use the native metric");
+        console.log("3. Consider the LCS metric for a more complete picture of content rendering");
+    }
+    
     /**
      * Get performance rating based on threshold values
      */
@@ -952,8 +1747,13 @@ class PerformanceMetricsTracker {
             info += `#${element.id}`;
         }
         
-        if (element.className) {
-            info += `.${element.className.split(' ').join('.')}`;
+        // SVG elements expose className as an SVGAnimatedString
+        const classStr = typeof element.className === 'string' 
+            ? element.className 
+            : (element.classList ? [...element.classList].join(' ') : '');
+        
+        if (classStr.trim()) {
+            info += `.${classStr.trim().split(/\s+/).join('.')}`;
         }
         
         if (element.src) {
@@ -963,6 +1763,72 @@ class PerformanceMetricsTracker {
         return info;
     }
     
+    /**
+     * Get a JSON-serializable copy of the current metrics
+     * DOM elements and performance entries are reduced to plain descriptions
+     */
+    getSnapshot() {
+        const webVitals = this.metrics.webVitals || {};
+        const { customLCP, lcs } = this.customMetrics;
+        
+        return {
+            navTiming: { ...this.metrics.navigationTiming },
+            paintTiming: { ...this.metrics.paintTiming },
+            webVitals: {
+                fcp: webVitals.fcp ? { ...webVitals.fcp } : null,
+                lcp: webVitals.lcp ? { ...webVitals.lcp } : null,
+                cls: webVitals.cls ? {
+                    value: webVitals.cls.value,
+                    rating: webVitals.cls.rating,
+                    shiftCount: webVitals.cls.entries.length,
+                    windowStart: webVitals.cls.windowStart,
+                    windowEnd: webVitals.cls.windowEnd,
+                    sessionCount: webVitals.cls.sessionCount,
+                    totalShifts: webVitals.cls.totalShifts,
+                    shifts: webVitals.cls.shifts,
+                    sources: webVitals.cls.sources
+                } : null,
+                inp: webVitals.inp ? { ...webVitals.inp } : null
+            },
+            lcpInput: this.lcpInput ? { ...this.lcpInput } : null,
+            customLCP: customLCP ? {
+                value: customLCP.value,
+                element: customLCP.element,
+                elementId: customLCP.elementId,
+                elementClass: customLCP.elementClass,
+                size: customLCP.size,
+                url: customLCP.url,
+                method: customLCP.method
+            } : null,
+            lcsSettings: this.lcsSettings ? { ...this.lcsSettings } : null,
+            lcsDefinitions: Object.fromEntries(Object.entries(this.customMetrics.lcsDefinitions).map(([name, definition]) => [name, {
+                label: definition.label,
+                description: definition.description,
+                lastPaintTime: definition.lastPaintTime,
+                viewportCoverage: definition.viewportCoverage,
+                elements: definition.elements.map(item => ({
+                    element: this.formatElementInfo(item.element),
+                    index: item.element.dataset ? item.element.dataset.index : undefined,
+                    area: item.area,
+                    visibleArea: item.visibleArea,
+                    paintTime: item.paintTime
+                }))
+            }])),
+            lcs: {
+                threshold: lcs.threshold,
+                lastPaintTime: lcs.elements.length > 0 ? lcs.lastPaintTime : null,
+                elements: lcs.elements.map(item => ({
+                    element: this.formatElementInfo(item.element),
+                    index: item.element.dataset ? item.element.dataset.index : undefined,
+                    area: item.area,
+                    paintTime: item.paintEvent.time,
+                    paintType: item.paintEvent.type
+                }))
+            },
+            imageSelections: [...this.customMetrics.imageSelections]
+        };
+    }
+    
     /**
      * Display metrics in the UI with navigation-aligned timing
      */
@@ -978,7 +1844,9 @@ class PerformanceMetricsTracker {
             
             // Custom metrics
             customLCP: this.customMetrics.customLCP,
-            lcs: this.customMetrics.lcs
+            lcs: this.customMetrics.lcs,
+            lcsDefinitions: this.customMetrics.lcsDefinitions,
+            lcpInput: this.lcpInput
         };
         
         // Emit event for UI to handle rendering
@@ -1147,14 +2015,53 @@ class PerformanceMetricsTracker {
     }
     
     /**
-     * Clean up observers
+     * Stop the measurement session: observers, listeners and timers
      */
     disconnect() {
-        this.observers.forEach(observer => {
-            if (observer && typeof observer.disconnect === 'function') {
-                observer.disconnect();
-            }
-        });
-        this.observers = [];
+        if (this.session) {
+            this.session.stop();
+        }
+    }
+}
+
+// How long (ms) after a noted DOM change a layout shift is still attributed to it
+PerformanceMetricsTracker.SHIFT_ATTRIBUTION_WINDOW = 200;
+
+// Alternative Large Contentful Set definitions, reported next to the LCS itself
+// select() picks from the candidates (one per element, { element, area, visibleArea, paintTime })
+PerformanceMetricsTracker.LCS_DEFINITIONS = {
+    'top-k': {
+        label: 'Top-K by area',
+        describe: (settings) => `the ${settings.topK} largest elements`,
+        select: (candidates, settings) => [...candidates]
+            .sort((a, b) => b.area - a.area)
+            .slice(0, settings.topK)
+    },
+    'viewport-coverage': {
+        label: 'Viewport coverage',
+        describe: (settings) => `largest visible elements until they cover ${Math.round(settings.coverage * 100)}% of the viewport`,
+        select: (candidates, settings, viewportArea) => {
+            const selected = [];
+            let covered = 0;
+            
+            [...candidates]
+                .filter(item => item.visibleArea > 0)
+                .sort((a, b) => b.visibleArea - a.visibleArea)
+                .forEach(item => {
+                    if (covered >= viewportArea * settings.coverage) return;
+                    selected.push(item);
+                    covered += item.visibleArea;
+                });
+            
+            return selected;
+        }
+    },
+    'visible-area': {
+        label: 'Visible area only',
+        describe: (settings) => `at least ${Math.round(settings.threshold * 100)}% of the largest area, clipped to the viewport`,
+        select: (candidates, settings) => {
+            const largest = Math.max(0, ...candidates.map(item => item.visibleArea));
+            return candidates.filter(item => item.visibleArea > 0 && item.visibleArea >= largest * settings.threshold);
+        }
     }
-}
\ No newline at end of file
+};
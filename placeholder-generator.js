@@ -0,0 +1,381 @@
+/**
+ * Placeholder Generator
+ * Pluggable placeholder strategies for the "Low Quality First" mode.
+ *
+ * A strategy has two steps, mirroring production:
+ *   encode(pixels, width, height) - builds the payload a server would embed in the
+ *                                   HTML (hash string, color, SVG) from the high-res
+ *                                   image scaled to the LQIP size; run before timing
+ *   render(payload, width, height) - turns the payload into an image URL in the page;
+ *                                    part of the measured run (e.g. BlurHash decoding)
+ * Strategies without encode() use the network low-res image (classic LQIP).
+ */
+class PlaceholderGenerator {
+    constructor(imageSource) {
+        this.imageSource = imageSource;
+        
+        // Registered strategies by name
+        this.strategies = {};
+        
+        this.register('lqip', {
+            label: 'Blurred low-res image (LQIP)',
+            filter: 'blur(5px)'
+        });
+        
+        this.register('blurhash', {
+            label: 'BlurHash',
+            filter: null,
+            encode: (pixels, width, height) => this.encodeBlurHash(pixels, width, height, 4, 3),
+            render: (payload, width, height) => this.renderBlurHash(payload, width, height)
+        });
+        
+        this.register('dominant-color', {
+            label: 'Dominant color',
+            filter: null,
+            encode: (pixels) => this.getDominantColor(pixels),
+            render: (payload, width, height) => this.toSvgUrl(
+                `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}">` +
+                `<rect width="100%" height="100%" fill="${payload}"/></svg>`
+            )
+        });
+        
+        this.register('svg-trace', {
+            label: 'SVG trace (posterized)',
+            filter: 'blur(2px)',
+            encode: (pixels, width, height) => this.traceSvg(pixels, width, height, 4),
+            render: (payload) => this.toSvgUrl(payload)
+        });
+    }
+    
+    /**
+     * Add or replace a placeholder strategy
+     */
+    register(name, strategy) {
+        this.strategies[name] = strategy;
+    }
+    
+    /**
+     * Get a strategy by name, falling back to classic LQIP
+     */
+    getStrategy(name) {
+        return this.strategies[name] || this.strategies.lqip;
+    }
+    
+    /**
+     * Build the embedded payload of every product's placeholder
+     * Reads pixels of the high-res image (size, or the product's own size) scaled
+     * down to the LQIP size, bypassing the network simulation since this stands in
+     * for server-side work
+     * Resolves to payload descriptions indexed like products; failed products
+     * get an entry with an error message instead of a payload
+     */
+    prepare(products, strategyName, size) {
+        const strategy = this.getStrategy(strategyName);
+        if (!strategy.encode) return Promise.resolve([]);
+        
+        const { width, height } = this.imageSource.parseSize(CONFIG.lqipSize);
+        
+        return Promise.all(products.map((product, index) => {
+            const seed = product.seed || `product${index + 1}`;
+            const url = this.imageSource.getUrl(seed, product.size || size, { throttled: false });
+            
+            return this.readPixels(url, width, height).then(pixels => {
+                const encodeStart = performance.now();
+                const payload = strategy.encode(pixels, width, height);
+                
+                return {
+                    index,
+                    strategy: strategyName,
+                    payload,
+                    payloadBytes: new Blob([payload]).size,
+                    encodeTime: performance.now() - encodeStart
+                };
+            }).catch(error => {
+                console.warn(`Could not build ${strategyName} placeholder for product ${index + 1}`, error);
+                return { index, strategy: strategyName, error: error.message };
+            });
+        }));
+    }
+    
+    /**
+     * Turn a prepared payload into an image URL, timing the client-side work
+     */
+    render(prepared) {
+        const strategy = this.getStrategy(prepared.strategy);
+        const { width, height } = this.imageSource.parseSize(CONFIG.lqipSize);
+        const renderStart = performance.now();
+        const src = strategy.render(prepared.payload, width, height);
+        
+        return { src, renderTime: performance.now() - renderStart };
+    }
+    
+    /**
+     * Load an image and read its pixels scaled to the given size
+     */
+    readPixels(url, width, height) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0, width, height);
+                resolve(ctx.getImageData(0, 0, width, height).data);
+            };
+            img.onerror = () => reject(new Error(`Failed to load ${url}`));
+            img.src = url;
+        });
+    }
+    
+    /**
+     * Wrap SVG markup in a data URL
+     */
+    toSvgUrl(svg) {
+        return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+    }
+    
+    /**
+     * Encode RGBA pixels as a BlurHash string
+     * See https://github.com/woltapp/blurhash for the format
+     */
+    encodeBlurHash(pixels, width, height, componentsX, componentsY) {
+        const factors = [];
+        
+        for (let j = 0; j < componentsY; j++) {
+            for (let i = 0; i < componentsX; i++) {
+                const normalisation = (i === 0 && j === 0) ? 1 : 2;
+                const factor = [0, 0, 0];
+                
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        const basis = normalisation * Math.cos(Math.PI * i * x / width) * Math.cos(Math.PI * j * y / height);
+                        const offset = 4 * (y * width + x);
+                        factor[0] += basis * this.sRGBToLinear(pixels[offset]);
+                        factor[1] += basis * this.sRGBToLinear(pixels[offset + 1]);
+                        factor[2] += basis * this.sRGBToLinear(pixels[offset + 2]);
+                    }
+                }
+                
+                const scale = 1 / (width * height);
+                factors.push(factor.map(value => value * scale));
+            }
+        }
+        
+        const dc = factors[0];
+        const ac = factors.slice(1);
+        let hash = this.encodeBase83((componentsX - 1) + (componentsY - 1) * 9, 1);
+        
+        let maximumValue = 1;
+        if (ac.length > 0) {
+            const actualMaximum = Math.max(...ac.map(factor => Math.max(...factor.map(Math.abs))));
+            const quantisedMaximum = Math.floor(Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5))));
+            maximumValue = (quantisedMaximum + 1) / 166;
+            hash += this.encodeBase83(quantisedMaximum, 1);
+        } else {
+            hash += this.encodeBase83(0, 1);
+        }
+        
+        hash += this.encodeBase83(
+            (this.linearToSRGB(dc[0]) << 16) + (this.linearToSRGB(dc[1]) << 8) + this.linearToSRGB(dc[2]), 4
+        );
+        
+        ac.forEach(factor => {
+            const quantise = (value) => Math.floor(Math.max(0, Math.min(18,
+                Math.floor(this.signPow(value / maximumValue, 0.5) * 9 + 9.5))));
+            hash += this.encodeBase83(quantise(factor[0]) * 19 * 19 + quantise(factor[1]) * 19 + quantise(factor[2]), 2);
+        });
+        
+        return hash;
+    }
+    
+    /**
+     * Decode a BlurHash string onto a canvas and return it as a data URL
+     */
+    renderBlurHash(hash, width, height) {
+        const sizeFlag = this.decodeBase83(hash[0]);
+        const componentsY = Math.floor(sizeFlag / 9) + 1;
+        const componentsX = (sizeFlag % 9) + 1;
+        const maximumValue = (this.decodeBase83(hash[1]) + 1) / 166;
+        
+        const colors = [];
+        const dc = this.decodeBase83(hash.substring(2, 6));
+        colors.push([this.sRGBToLinear(dc >> 16), this.sRGBToLinear((dc >> 8) & 255), this.sRGBToLinear(dc & 255)]);
+        
+        for (let i = 1; i < componentsX * componentsY; i++) {
+            const value = this.decodeBase83(hash.substring(4 + i * 2, 6 + i * 2));
+            colors.push([
+                Math.floor(value / (19 * 19)),
+                Math.floor(value / 19) % 19,
+                value % 19
+            ].map(quantised => this.signPow((quantised - 9) / 9, 2) * maximumValue));
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pixel = [0, 0, 0];
+                
+                for (let j = 0; j < componentsY; j++) {
+                    for (let i = 0; i < componentsX; i++) {
+                        const basis = Math.cos(Math.PI * x * i / width) * Math.cos(Math.PI * y * j / height);
+                        const color = colors[i + j * componentsX];
+                        pixel[0] += color[0] * basis;
+                        pixel[1] += color[1] * basis;
+                        pixel[2] += color[2] * basis;
+                    }
+                }
+                
+                const offset = 4 * (y * width + x);
+                imageData.data[offset] = this.linearToSRGB(pixel[0]);
+                imageData.data[offset + 1] = this.linearToSRGB(pixel[1]);
+                imageData.data[offset + 2] = this.linearToSRGB(pixel[2]);
+                imageData.data[offset + 3] = 255;
+            }
+        }
+        
+        ctx.putImageData(imageData, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+    
+    /**
+     * Most common color, bucketed to 4 bits per channel and averaged within the bucket
+     */
+    getDominantColor(pixels) {
+        const buckets = {};
+        
+        for (let i = 0; i < pixels.length; i += 4) {
+            const key = ((pixels[i] >> 4) << 8) | ((pixels[i + 1] >> 4) << 4) | (pixels[i + 2] >> 4);
+            if (!buckets[key]) buckets[key] = { count: 0, r: 0, g: 0, b: 0 };
+            buckets[key].count++;
+            buckets[key].r += pixels[i];
+            buckets[key].g += pixels[i + 1];
+            buckets[key].b += pixels[i + 2];
+        }
+        
+        const top = Object.values(buckets).reduce((best, bucket) => bucket.count > best.count ? bucket : best);
+        return `rgb(${Math.round(top.r / top.count)}, ${Math.round(top.g / top.count)}, ${Math.round(top.b / top.count)})`;
+    }
+    
+    /**
+     * Posterize pixels into a few colors (k-means) and trace each color's
+     * region as one SVG path built from horizontal runs
+     */
+    traceSvg(pixels, width, height, colorCount) {
+        const points = [];
+        for (let i = 0; i < pixels.length; i += 4) {
+            points.push([pixels[i], pixels[i + 1], pixels[i + 2]]);
+        }
+        
+        // Seed centers evenly across the pixels sorted by brightness
+        const byBrightness = [...points].sort((a, b) => (a[0] + a[1] + a[2]) - (b[0] + b[1] + b[2]));
+        let centers = Array.from({ length: colorCount }, (value, k) =>
+            byBrightness[Math.floor((k + 0.5) * byBrightness.length / colorCount)].slice()
+        );
+        
+        const nearest = (point) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centers.forEach((center, k) => {
+                const distance = Math.pow(point[0] - center[0], 2) + Math.pow(point[1] - center[1], 2) + Math.pow(point[2] - center[2], 2);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = k;
+                }
+            });
+            return best;
+        };
+        
+        let labels = [];
+        for (let iteration = 0; iteration < 6; iteration++) {
+            labels = points.map(nearest);
+            centers = centers.map((center, k) => {
+                const members = points.filter((point, i) => labels[i] === k);
+                if (members.length === 0) return center;
+                return [0, 1, 2].map(channel => members.reduce((sum, point) => sum + point[channel], 0) / members.length);
+            });
+        }
+        
+        // One path per color; the most common color becomes the background
+        const counts = centers.map((center, k) => labels.filter(label => label === k).length);
+        const background = counts.indexOf(Math.max(...counts));
+        const toColor = (center) => `rgb(${center.map(Math.round).join(',')})`;
+        
+        const paths = centers.map((center, k) => {
+            if (k === background) return '';
+            
+            let d = '';
+            for (let y = 0; y < height; y++) {
+                let x = 0;
+                while (x < width) {
+                    if (labels[y * width + x] !== k) {
+                        x++;
+                        continue;
+                    }
+                    
+                    const start = x;
+                    while (x < width && labels[y * width + x] === k) x++;
+                    d += `M${start} ${y}h${x - start}v1h${start - x}z`;
+                }
+            }
+            
+            return d ? `<path fill="${toColor(center)}" d="${d}"/>` : '';
+        }).join('');
+        
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">` +
+            `<rect width="100%" height="100%" fill="${toColor(centers[background])}"/>${paths}</svg>`;
+    }
+    
+    /**
+     * sRGB channel (0-255) to linear light (0-1)
+     */
+    sRGBToLinear(value) {
+        const v = value / 255;
+        return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    }
+    
+    /**
+     * Linear light (0-1) to an sRGB channel (0-255)
+     */
+    linearToSRGB(value) {
+        const v = Math.max(0, Math.min(1, value));
+        return v <= 0.0031308
+            ? Math.trunc(v * 12.92 * 255 + 0.5)
+            : Math.trunc((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+    }
+    
+    /**
+     * Power that keeps the sign of the base
+     */
+    signPow(value, exponent) {
+        return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+    }
+    
+    /**
+     * Encode an integer as fixed-length base 83
+     */
+    encodeBase83(value, length) {
+        let result = '';
+        for (let i = 1; i <= length; i++) {
+            const digit = Math.floor(value / Math.pow(83, length - i)) % 83;
+            result += PlaceholderGenerator.BASE83[digit];
+        }
+        return result;
+    }
+    
+    /**
+     * Decode a base 83 string to an integer
+     */
+    decodeBase83(text) {
+        return [...text].reduce((value, character) => value * 83 + PlaceholderGenerator.BASE83.indexOf(character), 0);
+    }
+}
+
+PlaceholderGenerator.BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
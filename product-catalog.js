@@ -0,0 +1,102 @@
+/**
+ * Product Catalog
+ * Supplies the products to render: the built-in CONFIG.products, or a JSON
+ * catalog named by the "catalog" URL parameter (e.g. ?catalog=catalogs/mixed-60.json)
+ *
+ * Catalog JSON is either an array of products or an object:
+ *   { "layout": "grid", "products": [{ "title", "description", "price", "seed", "size" }] }
+ * "size" is optional per-product image dimensions ("800/600" or { "width", "height" })
+ */
+class ProductCatalog {
+    constructor(source) {
+        const urlParams = new URLSearchParams(window.location.search);
+        this.source = source || urlParams.get('catalog') || '';
+        
+        // Built-in products until a catalog file has loaded
+        this.products = CONFIG.products;
+        this.layout = CONFIG.catalog.defaultLayout;
+        this.loadPromise = null;
+    }
+    
+    /**
+     * Load the catalog (once); falls back to the built-in products on any error
+     * Resolves with this catalog
+     */
+    load() {
+        if (this.loadPromise) return this.loadPromise;
+        
+        if (!this.source) {
+            this.loadPromise = Promise.resolve(this);
+            return this.loadPromise;
+        }
+        
+        this.loadPromise = fetch(this.source)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                this.applyCatalog(data);
+                console.log(`Loaded catalog ${this.source}: ${this.products.length} products, ${this.layout} layout`);
+                return this;
+            })
+            .catch(error => {
+                console.warn(`Could not load catalog ${this.source}, using built-in products`, error);
+                this.source = '';
+                return this;
+            });
+        
+        return this.loadPromise;
+    }
+    
+    /**
+     * Validate and store catalog data
+     */
+    applyCatalog(data) {
+        const products = Array.isArray(data) ? data : data && data.products;
+        if (!Array.isArray(products) || products.length === 0) {
+            throw new Error('Catalog has no products');
+        }
+        
+        this.products = products.map((product, index) => this.normalizeProduct(product, index));
+        
+        if (data.layout && CONFIG.catalog.layouts[data.layout]) {
+            this.layout = data.layout;
+        }
+    }
+    
+    /**
+     * Fill in defaults and normalize the image size of one product
+     */
+    normalizeProduct(product, index) {
+        const normalized = {
+            title: product.title || `Product ${index + 1}`,
+            description: product.description || '',
+            price: product.price || ''
+        };
+        
+        if (product.seed) normalized.seed = String(product.seed);
+        
+        if (typeof product.size === 'string' && /^\d+\/\d+$/.test(product.size)) {
+            normalized.size = product.size;
+        } else if (product.size && product.size.width && product.size.height) {
+            normalized.size = `${parseInt(product.size.width)}/${parseInt(product.size.height)}`;
+        }
+        
+        return normalized;
+    }
+    
+    /**
+     * Number of products whose image size is set by the catalog instead of #image-size
+     */
+    countFixedSizes() {
+        return this.products.filter(product => product.size).length;
+    }
+    
+    /**
+     * Short description for results, e.g. "catalogs/mixed-60.json (60 products)"
+     */
+    describe() {
+        return `${this.source || 'built-in'} (${this.products.length} products)`;
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * Report Exporter
+ * Exports the current run as JSON, CSV (per-image rows) or a standalone HTML report
+ */
+class ReportExporter {
+    constructor(metricsTracker, imageLoader) {
+        this.metricsTracker = metricsTracker;
+        this.imageLoader = imageLoader;
+        this.lastResults = null;
+        
+        if (this.imageLoader) {
+            this.imageLoader.on('resultsReady', (results) => {
+                this.lastResults = results;
+            });
+        }
+    }
+    
+    /**
+     * Build the machine-readable report for the current run
+     */
+    buildReport() {
+        const results = this.lastResults || {};
+        const metrics = this.metricsTracker.getSnapshot();
+        
+        return {
+            generatedAt: new Date().toISOString(),
+            page: window.location.href,
+            userAgent: navigator.userAgent,
+            viewport: {
+                width: window.innerWidth,
+                height: window.innerHeight,
+                devicePixelRatio: window.devicePixelRatio || 1
+            },
+            settings: {
+                imageSize: results.imageSize || null,
+                imageType: results.imageType || null,
+                imageSource: results.imageSource || null,
+                networkConditions: results.networkConditions || null,
+                loadingStrategy: results.loadingStrategy || null,
+                placeholderStrategy: results.placeholderStrategy || null,
+                swapPolicy: results.swapPolicy || null,
+                catalog: results.catalog || null,
+                productCount: results.productCount || null,
+                layout: results.layout || null,
+                scenario: results.scenario || null,
+                autoScroll: results.autoScroll ? results.autoScroll.speed : null,
+                interactionScript: results.interactionScript ? results.interactionScript.name : null,
+                runMode: results.runMode || null
+            },
+            navigationStart: results.navigationStartTime || metrics.navTiming.navigationStart || null,
+            resultsComplete: !!this.lastResults,
+            images: {
+                loadTimes: results.loadTimes || [],
+                paintDeltas: results.paintDeltas || [],
+                viewportDeltas: results.viewportDeltas || [],
+                resourceTimings: results.resourceTimings || [],
+                imageSelections: results.imageSelections || [],
+                formatSelections: results.formatSelections || [],
+                placeholders: results.placeholders || [],
+                swapEvents: results.swapEvents || [],
+                decodeTimings: results.decodeTimings || [],
+                imageAttempts: results.imageAttempts || [],
+                batches: results.batches || []
+            },
+            autoScroll: results.autoScroll || null,
+            interactionScript: results.interactionScript || null,
+            lcpInput: metrics.lcpInput || null,
+            longFrames: results.longFrames || [],
+            runStartTime: results.runStartTime || null,
+            navTiming: metrics.navTiming,
+            paintTiming: metrics.paintTiming,
+            webVitals: metrics.webVitals,
+            customLCP: metrics.customLCP,
+            lcs: metrics.lcs,
+            lcsSettings: metrics.lcsSettings,
+            lcsDefinitions: metrics.lcsDefinitions
+        };
+    }
+    
+    /**
+     * Serialize the report as JSON
+     */
+    toJSON() {
+        return JSON.stringify(this.buildReport(), null, 2);
+    }
+    
+    /**
+     * Serialize the per-image tables as one long-format CSV
+     * The "table" column says which results table a row comes from
+     */
+    toCSV() {
+        const report = this.buildReport();
+        const header = ['table', 'image', 'type', 'method', 'load_ms', 'paint_ms', 'delta_ms', 'viewport_ms', 'intersection_ratio'];
+        const rows = [header];
+        
+        report.images.loadTimes.forEach(item => {
+            rows.push(['load', item.index + 1, item.type || 'standard', item.retries ? `${item.retries} retries` : '', item.time, '', '', '', '']);
+        });
+        
+        // Images that never loaded: method says how, load_ms is when the last attempt ended
+        report.images.imageAttempts.filter(item => item.status === 'failed').forEach(item => {
+            const last = item.attempts[item.attempts.length - 1];
+            rows.push(['failed', item.imageIndex + 1, item.type, `${item.attempts.length} attempts, last ${last.outcome}`, last.end, '', '', '', '']);
+        });
+        
+        report.images.paintDeltas.forEach(item => {
+            rows.push(['paint', item.imageIndex + 1, item.type || 'standard', item.method, item.loadTime, item.paintTime, item.delta, '', '']);
+        });
+        
+        // For viewport rows delta_ms is the time from viewport entry to paint
+        report.images.viewportDeltas.forEach(item => {
+            rows.push(['viewport', item.imageIndex + 1, '', item.paintMethod || '', '', item.paintTime, item.entryToPaint, item.viewportTime, item.intersectionRatio]);
+        });
+        
+        return rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\n') + '\n';
+    }
+    
+    /**
+     * Quote a CSV field when needed
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        
+        const text = typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    /**
+     * Build a self-contained HTML report with the rendered tables and raw data
+     */
+    toHTML() {
+        const report = this.buildReport();
+        const resultsEl = document.getElementById('results');
+        const metricsEl = document.getElementById('page-metrics-content');
+        
+        // Embedded JSON must not be able to close the script element early
+        const embeddedJSON = JSON.stringify(report, null, 2).replace(/</g, '\\u003c');
+        
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Paint Timing Report - ${report.settings.imageSize || 'unknown'} / ${report.settings.imageType || 'unknown'}</title>
+    <style>
+${this.collectStyles()}
+    </style>
+</head>
+<body>
+    <h1>Image Load vs Paint Timing Report</h1>
+    <p>Generated: <strong>${report.generatedAt}</strong></p>
+    <p>Page: <strong>${HTMLText.escape(report.page)}</strong></p>
+    <p>User agent: ${HTMLText.escape(report.userAgent)}</p>
+    <p>Viewport: ${report.viewport.width}×${report.viewport.height} @${report.viewport.devicePixelRatio}x</p>
+    
+    <div id="results">${resultsEl ? resultsEl.innerHTML : ''}</div>
+    
+    <div id="page-metrics">
+        <h2>Page Performance Metrics</h2>
+        <div id="page-metrics-content">${metricsEl ? metricsEl.innerHTML : ''}</div>
+    </div>
+    
+    <script type="application/json" id="report-data">
+${embeddedJSON}
+    </script>
+</body>
+</html>
+`;
+    }
+    
+    /**
+     * Collect the page's CSS rules so the report renders the same offline
+     */
+    collectStyles() {
+        const rules = [];
+        
+        Array.from(document.styleSheets).forEach(sheet => {
+            try {
+                Array.from(sheet.cssRules).forEach(rule => rules.push(rule.cssText));
+            } catch (e) {
+                // Cross-origin stylesheets can't be read
+                console.warn('Skipping unreadable stylesheet in report', e);
+            }
+        });
+        
+        return rules.join('\n');
+    }
+    
+    /**
+     * Build a descriptive file name for an export
+     */
+    getFileName(extension) {
+        const results = this.lastResults || {};
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return `paint-timing-${results.imageSize || 'run'}-${results.imageType || 'partial'}-${timestamp}.${extension}`;
+    }
+    
+    /**
+     * Trigger a browser download of the given content
+     */
+    download(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Export the current run in the given format ("json", "csv" or "html")
+     */
+    export(format) {
+        if (!this.lastResults) {
+            console.warn('Exporting before the run finished - image tables will be incomplete');
+        }
+        
+        switch (format) {
+            case 'json':
+                this.download(this.toJSON(), this.getFileName('json'), 'application/json');
+                break;
+            case 'csv':
+                this.download(this.toCSV(), this.getFileName('csv'), 'text/csv');
+                break;
+            case 'html':
+                this.download(this.toHTML(), this.getFileName('html'), 'text/html');
+                break;
+            default:
+                console.error(`Unknown export format: ${format}`);
+        }
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * Run History
+ * Persists every run's image results and metrics snapshot in localStorage
+ * so runs can be compared after reloads
+ */
+class RunHistory {
+    constructor() {
+        this.storageKey = CONFIG.history.storageKey;
+        this.maxRuns = CONFIG.history.maxRuns;
+        this.saveDelay = CONFIG.history.saveDelay;
+        this.saveTimer = null;
+        this.runs = this.load();
+        
+        // Don't lose a pending write when the page is left or reloaded
+        window.addEventListener('pagehide', () => this.flush());
+    }
+    
+    /**
+     * Read stored runs from localStorage
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (e) {
+            console.warn('Could not read run history', e);
+            return [];
+        }
+    }
+    
+    /**
+     * Persist runs to localStorage, dropping the oldest when storage is full
+     */
+    save() {
+        while (this.runs.length > 0) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.runs));
+                return;
+            } catch (e) {
+                console.warn('Run history storage full, dropping oldest run', e);
+                this.runs.shift();
+            }
+        }
+        localStorage.removeItem(this.storageKey);
+    }
+    
+    /**
+     * Persist runs once updates have been quiet for saveDelay ms
+     * Keeps serialization and storage writes out of the measured load
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, this.saveDelay);
+    }
+    
+    /**
+     * Write a pending scheduled save immediately
+     */
+    flush() {
+        if (!this.saveTimer) return;
+        
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.save();
+    }
+    
+    /**
+     * Store a finished run and return its id
+     * viewport is given for runs measured in another frame (soft runs)
+     */
+    addRun(results, metrics, viewport) {
+        const run = {
+            id: `run-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+            timestamp: new Date().toISOString(),
+            settings: {
+                imageSize: results.imageSize,
+                imageType: results.imageType,
+                imageSource: results.imageSource,
+                networkConditions: results.networkConditions,
+                loadingStrategy: results.loadingStrategy,
+                placeholderStrategy: results.placeholderStrategy,
+                swapPolicy: results.swapPolicy,
+                catalog: results.catalog,
+                productCount: results.productCount,
+                layout: results.layout,
+                scenario: results.scenario,
+                autoScroll: results.autoScroll ? results.autoScroll.speed : null,
+                interactionScript: results.interactionScript ? results.interactionScript.name : null,
+                runMode: results.runMode || 'cold',
+                viewport: viewport ? `${viewport.width}×${viewport.height}` : `${window.innerWidth}×${window.innerHeight}`,
+                userAgent: navigator.userAgent
+            },
+            results: results,
+            metrics: metrics
+        };
+        
+        this.runs.push(run);
+        if (this.runs.length > this.maxRuns) {
+            this.runs.splice(0, this.runs.length - this.maxRuns);
+        }
+        
+        this.save();
+        console.log(`Run ${run.id} saved to history (${this.runs.length} runs stored)`);
+        return run.id;
+    }
+    
+    /**
+     * Replace the metrics snapshot of a stored run with a newer one
+     */
+    updateMetrics(id, metrics) {
+        const run = this.getRun(id);
+        if (!run) return;
+        
+        run.metrics = metrics;
+        this.scheduleSave();
+    }
+    
+    /**
+     * Get all stored runs, oldest first
+     */
+    getRuns() {
+        return this.runs;
+    }
+    
+    /**
+     * Get a stored run by id
+     */
+    getRun(id) {
+        return this.runs.find(run => run.id === id) || null;
+    }
+    
+    /**
+     * Remove all stored runs
+     */
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.runs = [];
+        localStorage.removeItem(this.storageKey);
+    }
+    
+    /**
+     * Flatten a run into comparable named values (all lower-is-better)
+     */
+    getComparableMetrics(run) {
+        const metrics = run.metrics || {};
+        const webVitals = metrics.webVitals || {};
+        const navTiming = metrics.navTiming || {};
+        const results = run.results || { loadTimes: [], paintDeltas: [] };
+        const values = [];
+        
+        const add = (name, value, unit = 'ms') => {
+            values.push({ name, value: typeof value === 'number' ? value : null, unit });
+        };
+        
+        add('First Contentful Paint', webVitals.fcp && webVitals.fcp.value);
+        add('Native LCP', webVitals.lcp && webVitals.lcp.value);
+        add('Custom LCP', metrics.customLCP && metrics.customLCP.value);
+        add('LCS Completion', metrics.lcs && metrics.lcs.lastPaintTime);
+        Object.entries(metrics.lcsDefinitions || {})
+            .filter(([name]) => name !== 'threshold')
+            .forEach(([name, definition]) => add(`LCS Completion (${definition.label})`, definition.lastPaintTime));
+        add('CLS', webVitals.cls && webVitals.cls.value, '');
+        add('INP', webVitals.inp && webVitals.inp.value);
+        add('TTFB', navTiming.ttfb);
+        add('DOM Interactive', navTiming.domInteractive);
+        add('DOM Content Loaded', navTiming.domContentLoaded);
+        add('DOM Complete', navTiming.domComplete);
+        
+        const selections = results.imageSelections || [];
+        if (selections.length > 0) {
+            add('Image bytes (KB)', selections.reduce((sum, item) => sum + (item.bytes || 0), 0) / 1024, 'KB');
+            add('Wasted image bytes (KB, est.)', selections.reduce((sum, item) => sum + (item.wastedBytes || 0), 0) / 1024, 'KB');
+        }
+        
+        // Failed and retried images (counts)
+        const attempts = results.imageAttempts || [];
+        if (attempts.length > 0) {
+            add('Failed images', attempts.filter(item => item.status === 'failed').length, '');
+            add('Image retries', attempts.reduce((sum, item) => sum + Math.max(item.attempts.length - 1, 0), 0), '');
+        }
+        
+        // Viewport entry to paint across images that scrolled into view
+        const entryToPaint = (results.viewportDeltas || [])
+            .map(item => item.entryToPaint)
+            .filter(value => typeof value === 'number')
+            .sort((a, b) => a - b);
+        if (entryToPaint.length > 0) {
+            add('Median viewport entry to paint', entryToPaint[Math.floor((entryToPaint.length - 1) / 2)]);
+            add('Max viewport entry to paint', entryToPaint[entryToPaint.length - 1]);
+        }
+        
+        // Scripted clicks, timed to the next paint (synthetic input has no native INP)
+        const scriptedClicks = results.interactionScript
+            ? results.interactionScript.steps.filter(step => step.interaction)
+            : [];
+        if (scriptedClicks.length > 0) {
+            add('Max scripted click latency', Math.max(...scriptedClicks.map(step => step.interaction.latency)));
+        }
+        
+        // Per-image final load and paint (low-res LQIP phases are listed separately)
+        const indexes = [...new Set(results.loadTimes.map(item => item.index))].sort((a, b) => a - b);
+        indexes.forEach(index => {
+            results.loadTimes
+                .filter(item => item.index === index)
+                .forEach(item => add(`Image ${index + 1} load${item.type ? ' (' + item.type + ')' : ''}`, item.time));
+            
+            results.paintDeltas
+                .filter(item => item.imageIndex === index)
+                .forEach(item => add(`Image ${index + 1} paint delta (${item.type || 'standard'}, ${item.method})`, item.delta));
+        });
+        
+        return values;
+    }
+    
+    /**
+     * Compare two runs metric by metric (delta = B - A)
+     */
+    compareRuns(idA, idB) {
+        const runA = this.getRun(idA);
+        const runB = this.getRun(idB);
+        if (!runA || !runB) return null;
+        
+        const valuesB = {};
+        this.getComparableMetrics(runB).forEach(item => valuesB[item.name] = item);
+        
+        const rows = this.getComparableMetrics(runA).map(item => {
+            const other = valuesB[item.name];
+            delete valuesB[item.name];
+            return this.createComparisonRow(item.name, item.unit, item.value, other ? other.value : null);
+        });
+        
+        // Metrics only present in run B
+        Object.values(valuesB).forEach(item => {
+            rows.push(this.createComparisonRow(item.name, item.unit, null, item.value));
+        });
+        
+        return { runA, runB, rows };
+    }
+    
+    /**
+     * Build one row of a run comparison
+     */
+    createComparisonRow(name, unit, valueA, valueB) {
+        const hasBoth = valueA !== null && valueB !== null;
+        const delta = hasBoth ? valueB - valueA : null;
+        
+        return {
+            name,
+            unit,
+            valueA,
+            valueB,
+            delta,
+            deltaPercent: hasBoth && valueA !== 0 ? (delta / valueA) * 100 : null
+        };
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * Run Reporter
+ * Used when this page runs inside a frame opened by another page (a soft run):
+ * forwards results and metric updates to the parent with postMessage
+ *
+ * Messages are { source: RunReporter.MESSAGE_SOURCE, type, runId, ... }:
+ *   runStarted     { viewport }
+ *   resultsReady   { results, metrics, viewport }
+ *   metricsUpdate  { metrics }
+ */
+class RunReporter {
+    constructor(metricsTracker, imageLoader, runId) {
+        this.metricsTracker = metricsTracker;
+        this.imageLoader = imageLoader;
+        this.runId = runId;
+        
+        this.imageLoader.on('resultsReady', (results) => {
+            this.post('resultsReady', {
+                results: results,
+                metrics: this.metricsTracker.getSnapshot(),
+                viewport: this.getViewport()
+            });
+        });
+        
+        // LCP, CLS and INP keep changing after the results are in
+        this.metricsTracker.on('metricsUpdate', () => {
+            this.post('metricsUpdate', { metrics: this.metricsTracker.getSnapshot() });
+        });
+        
+        this.post('runStarted', { viewport: this.getViewport() });
+    }
+    
+    /**
+     * This frame's viewport
+     */
+    getViewport() {
+        return { width: window.innerWidth, height: window.innerHeight, devicePixelRatio: window.devicePixelRatio || 1 };
+    }
+    
+    /**
+     * The run id a parent page gave this frame, or null when this page isn't a reporting frame
+     */
+    static getRunId() {
+        if (window.parent === window) return null;
+        return new URLSearchParams(window.location.search).get('softRun');
+    }
+    
+    /**
+     * Send a message to the parent page (soft runs are always same-origin)
+     * Data goes through JSON like stored runs do, so performance entries become plain objects
+     */
+    post(type, data) {
+        const message = JSON.parse(JSON.stringify({
+            source: RunReporter.MESSAGE_SOURCE,
+            type: type,
+            runId: this.runId,
+            ...data
+        }));
+        
+        window.parent.postMessage(message, window.location.origin);
+    }
+}
+
+// Marks messages from reporting frames
+RunReporter.MESSAGE_SOURCE = 'paint-timing-run';
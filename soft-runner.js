@@ -0,0 +1,102 @@
+/**
+ * Soft Runner
+ * Runs the test in a fresh same-origin frame instead of reloading the page,
+ * so runs can be repeated without losing this page's state.
+ * Each run gets a new frame (new document, empty resource timing buffer,
+ * cache-busted image URLs); the frame reports back through RunReporter
+ */
+class SoftRunner {
+    constructor(container) {
+        this.container = container;
+        this.frame = null;
+        this.runId = null;
+        this.timeoutTimer = null;
+        
+        // Event system
+        this.callbacks = {};
+        
+        this._messageHandler = (event) => this.handleMessage(event);
+        window.addEventListener('message', this._messageHandler);
+    }
+    
+    /**
+     * Register event listeners
+     */
+    on(event, callback) {
+        if (!this.callbacks[event]) this.callbacks[event] = [];
+        this.callbacks[event].push(callback);
+    }
+    
+    /**
+     * Emit events to listeners
+     */
+    emit(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => callback(data));
+        }
+    }
+    
+    /**
+     * Check whether a soft run is waiting for results
+     */
+    isRunning() {
+        return !!this.timeoutTimer;
+    }
+    
+    /**
+     * Start a run of the given page URL in a new frame, replacing the previous one
+     */
+    run(pageUrl) {
+        this.clear();
+        
+        this.runId = `soft-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+        const url = new URL(pageUrl);
+        url.searchParams.set('softRun', this.runId);
+        
+        this.frame = document.createElement('iframe');
+        this.frame.className = 'soft-run-frame';
+        this.frame.title = 'Soft run';
+        this.frame.src = url.toString();
+        this.container.appendChild(this.frame);
+        
+        this.timeoutTimer = setTimeout(() => {
+            this.timeoutTimer = null;
+            console.warn(`Soft run ${this.runId} did not report results within ${CONFIG.softRun.timeout}ms`);
+            this.emit('runFailed', { runId: this.runId, reason: 'timeout' });
+        }, CONFIG.softRun.timeout);
+        
+        console.log(`Soft run ${this.runId} started`);
+        this.emit('runStarted', { runId: this.runId, url: url.toString() });
+        return this.runId;
+    }
+    
+    /**
+     * Handle a message from the current run's frame; messages from older frames are ignored
+     */
+    handleMessage(event) {
+        const data = event.data;
+        if (!this.frame || event.source !== this.frame.contentWindow || event.origin !== window.location.origin) return;
+        if (!data || data.source !== RunReporter.MESSAGE_SOURCE || data.runId !== this.runId) return;
+        
+        if (data.type === 'resultsReady') {
+            clearTimeout(this.timeoutTimer);
+            this.timeoutTimer = null;
+        }
+        
+        this.emit(data.type, data);
+    }
+    
+    /**
+     * Remove the current frame and stop waiting for it
+     */
+    clear() {
+        clearTimeout(this.timeoutTimer);
+        this.timeoutTimer = null;
+        
+        if (this.frame) {
+            this.frame.remove();
+            this.frame = null;
+        }
+        this.runId = null;
+    }
+}
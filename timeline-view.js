@@ -0,0 +1,420 @@
+/**
+ * Timeline View
+ * Draws every page-load event on one navigation-start axis as an SVG:
+ * paint milestones, per-image load/paint/viewport events, layout shifts
+ * and long frames, with hover tooltips, wheel/button zoom and drag to pan
+ */
+class TimelineView {
+    constructor(metricsTracker, imageLoader) {
+        this.metricsTracker = metricsTracker;
+        this.imageLoader = imageLoader;
+        
+        this.container = document.getElementById('timeline');
+        this.lastResults = null;
+        
+        // Visible time range in ms since navigation start (null = fit all)
+        this.view = null;
+        this.renderPending = false;
+        
+        // Layout constants (px)
+        this.labelWidth = 150;
+        this.laneHeight = 22;
+        this.axisHeight = 24;
+        
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Re-render on new results and late metric updates
+     */
+    setupEventListeners() {
+        if (!this.container) return;
+        
+        if (this.imageLoader) {
+            this.imageLoader.on('resultsReady', (results) => {
+                this.lastResults = results;
+                this.view = null;
+                this.scheduleRender();
+            });
+        }
+        
+        if (this.metricsTracker) {
+            ['metricsUpdate', 'lcsUpdate', 'longFrameUpdate'].forEach(event => {
+                this.metricsTracker.on(event, () => this.scheduleRender());
+            });
+        }
+        
+        // Zoom buttons
+        this.container.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-zoom]');
+            if (!button) return;
+            
+            const range = this.getRange();
+            const center = (range.start + range.end) / 2;
+            
+            if (button.dataset.zoom === 'in') {
+                this.zoom(0.5, center);
+            } else if (button.dataset.zoom === 'out') {
+                this.zoom(2, center);
+            } else {
+                this.view = null;
+                this.render();
+            }
+        });
+        
+        // Wheel zoom around the cursor
+        this.container.addEventListener('wheel', (event) => {
+            const time = this.getTimeAt(event);
+            if (time === null) return;
+            
+            event.preventDefault();
+            this.zoom(event.deltaY < 0 ? 0.8 : 1.25, time);
+        }, { passive: false });
+        
+        // Drag to pan, hover for tooltips
+        let dragStart = null;
+        
+        this.container.addEventListener('mousedown', (event) => {
+            if (this.getTimeAt(event) === null) return;
+            dragStart = { x: event.clientX, range: this.getRange() };
+            event.preventDefault();
+        });
+        
+        window.addEventListener('mouseup', () => {
+            dragStart = null;
+        });
+        
+        this.container.addEventListener('mousemove', (event) => {
+            if (dragStart) {
+                const msPerPixel = (dragStart.range.end - dragStart.range.start) / this.getPlotWidth();
+                const shift = (dragStart.x - event.clientX) * msPerPixel;
+                this.view = { start: dragStart.range.start + shift, end: dragStart.range.end + shift };
+                this.render();
+                return;
+            }
+            
+            this.updateTooltip(event);
+        });
+        
+        this.container.addEventListener('mouseleave', () => {
+            const tooltip = this.container.querySelector('.timeline-tooltip');
+            if (tooltip) tooltip.style.display = 'none';
+        });
+    }
+    
+    /**
+     * Coalesce bursts of metric updates into one render per frame
+     */
+    scheduleRender() {
+        if (this.renderPending || !this.lastResults) return;
+        
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+    
+    /**
+     * Collect timeline lanes; all times are ms since navigation start
+     */
+    collectLanes() {
+        const results = this.lastResults;
+        const runStart = results.runStartTime || 0;
+        const webVitals = this.metricsTracker.metrics.webVitals || {};
+        const customMetrics = this.metricsTracker.customMetrics;
+        const lanes = [];
+        
+        // Page-level paint milestones
+        const milestones = [];
+        const addMilestone = (time, label, className) => {
+            if (typeof time === 'number') {
+                milestones.push({ kind: 'milestone', time, label, className, tooltip: `${label}: ${time.toFixed(1)} ms` });
+            }
+        };
+        
+        addMilestone(webVitals.fcp && webVitals.fcp.value, 'FCP', 'tl-fcp');
+        addMilestone(webVitals.lcp && webVitals.lcp.value, 'Native LCP', 'tl-lcp');
+        addMilestone(customMetrics.customLCP && customMetrics.customLCP.value, 'Custom LCP', 'tl-custom-lcp');
+        addMilestone(customMetrics.lcs.elements.length > 0 ? customMetrics.lcs.lastPaintTime : null, 'LCS last paint', 'tl-lcs');
+        
+        lanes.push({ label: 'Paint milestones', events: milestones });
+        
+        // One lane per product image
+        const indexes = [...new Set(results.loadTimes.map(item => item.index)
+            .concat(results.paintDeltas.map(item => item.imageIndex)))].sort((a, b) => a - b);
+        
+        indexes.forEach(index => {
+            const events = [];
+            
+            results.loadTimes
+                .filter(item => item.index === index)
+                .forEach(item => {
+                    const phase = item.type || 'standard';
+                    events.push({
+                        kind: 'point',
+                        time: item.time + runStart,
+                        className: 'tl-load',
+                        tooltip: `Image ${index + 1} ${phase} load: ${(item.time + runStart).toFixed(1)} ms`
+                    });
+                });
+            
+            // Prefer Element Timing per phase, fall back to double-rAF
+            const deltas = results.paintDeltas.filter(item => item.imageIndex === index);
+            const phases = [...new Set(deltas.map(item => item.type || 'standard'))];
+            
+            phases.forEach(phase => {
+                const candidates = deltas.filter(item => (item.type || 'standard') === phase);
+                const delta = candidates.find(item => item.method === 'ElementTiming API') || candidates[0];
+                const interval = this.imageLoader.getNavigationInterval(delta);
+                
+                events.push({
+                    kind: 'range',
+                    time: interval.load,
+                    end: interval.paint,
+                    className: 'tl-load-to-paint',
+                    tooltip: `Image ${index + 1} ${phase} load → paint: ${delta.delta.toFixed(1)} ms (${delta.method})` +
+                        (delta.delayCause ? `\n${delta.delayCause}` : '')
+                });
+                
+                events.push({
+                    kind: 'point',
+                    time: interval.paint,
+                    className: phase === 'low-res' ? 'tl-paint-lowres' : 'tl-paint',
+                    tooltip: `Image ${index + 1} ${phase === 'standard' ? '' : phase + ' '}paint: ${interval.paint.toFixed(1)} ms (${delta.method})`
+                });
+            });
+            
+            (results.decodeTimings || [])
+                .filter(item => item.imageIndex === index && item.decodeEnd !== null)
+                .forEach(item => {
+                    events.push({
+                        kind: 'range',
+                        time: item.decodeStart + runStart,
+                        end: item.decodeEnd + runStart,
+                        className: 'tl-decode',
+                        tooltip: `Image ${index + 1} ${item.type} ${item.beforeSwap ? 'decode (before swap)' : 'ready after load'}: ${item.decodeTime.toFixed(1)} ms`
+                    });
+                });
+            
+            const viewportEntry = results.viewportDeltas.find(item => item.imageIndex === index);
+            if (viewportEntry) {
+                events.push({
+                    kind: 'point',
+                    time: viewportEntry.viewportTime + runStart,
+                    className: 'tl-viewport',
+                    tooltip: `Image ${index + 1} entered viewport: ${(viewportEntry.viewportTime + runStart).toFixed(1)} ms ` +
+                        `(${Math.round(viewportEntry.intersectionRatio * 100)}% visible)`
+                });
+            }
+            
+            lanes.push({ label: `Image ${index + 1}`, events });
+        });
+        
+        // Layout shifts, radius scaled by shift value
+        const shifts = (this.metricsTracker.layoutShifts || []).map(shift => ({
+            kind: 'point',
+            time: shift.startTime,
+            className: 'tl-shift',
+            radius: Math.min(3 + shift.value * 40, 9),
+            tooltip: `Layout shift ${shift.value.toFixed(4)} at ${shift.startTime.toFixed(1)} ms` +
+                shift.sources.map(source => `\n${source.label}${source.likelyCause ? ' (' + source.likelyCause + ')' : ''}`).join('')
+        }));
+        lanes.push({ label: 'Layout shifts', events: shifts });
+        
+        // Long animation frames / long tasks
+        const longFrames = this.metricsTracker.longFrames || [];
+        lanes.push({
+            label: longFrames.length > 0 && longFrames[0].entryType === 'longtask' ? 'Long tasks' : 'Long frames',
+            events: longFrames.map(frame => ({
+                kind: 'range',
+                time: frame.startTime,
+                end: frame.endTime,
+                className: 'tl-long-frame',
+                tooltip: `${frame.entryType} ${frame.duration.toFixed(1)} ms at ${frame.startTime.toFixed(1)} ms` +
+                    `\n${this.metricsTracker.describeLongFrameScript(frame)}`
+            }))
+        });
+        
+        return lanes;
+    }
+    
+    /**
+     * Full time extent of the collected events, padded on the right
+     */
+    getExtent(lanes) {
+        let end = 0;
+        lanes.forEach(lane => lane.events.forEach(event => {
+            end = Math.max(end, event.end || event.time);
+        }));
+        return { start: 0, end: Math.max(end * 1.05, 100) };
+    }
+    
+    /**
+     * Currently visible time range
+     */
+    getRange() {
+        return this.view || this.extent || { start: 0, end: 1000 };
+    }
+    
+    /**
+     * Zoom by a factor, keeping the given time under the same position
+     */
+    zoom(factor, anchor) {
+        const range = this.getRange();
+        const span = Math.max((range.end - range.start) * factor, 5);
+        const ratio = (anchor - range.start) / (range.end - range.start);
+        
+        this.view = { start: anchor - span * ratio, end: anchor + span * (1 - ratio) };
+        this.render();
+    }
+    
+    /**
+     * Width of the plot area in px
+     */
+    getPlotWidth() {
+        return Math.max((this.container.clientWidth || 800) - this.labelWidth - 20, 200);
+    }
+    
+    /**
+     * Time under the mouse, or null when outside the plot area
+     */
+    getTimeAt(event) {
+        const svg = this.container.querySelector('svg.timeline-svg');
+        if (!svg || !svg.contains(event.target)) return null;
+        
+        const x = event.clientX - svg.getBoundingClientRect().left - this.labelWidth;
+        if (x < 0) return null;
+        
+        const range = this.getRange();
+        return range.start + (x / this.getPlotWidth()) * (range.end - range.start);
+    }
+    
+    /**
+     * Pick a round tick spacing for the visible span
+     */
+    getTickStep(span) {
+        const rough = span / 8;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const normalized = rough / magnitude;
+        return (normalized < 2 ? 1 : normalized < 5 ? 2 : 5) * magnitude;
+    }
+    
+    /**
+     * Draw the timeline
+     */
+    render() {
+        if (!this.container || !this.lastResults) return;
+        
+        const lanes = this.collectLanes();
+        this.extent = this.getExtent(lanes);
+        
+        const range = this.getRange();
+        const plotWidth = this.getPlotWidth();
+        const width = this.labelWidth + plotWidth;
+        const height = this.axisHeight + lanes.length * this.laneHeight;
+        const x = (time) => this.labelWidth + (time - range.start) / (range.end - range.start) * plotWidth;
+        const visible = (start, end) => end >= range.start && start <= range.end;
+        
+        let svg = `<svg class="timeline-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`;
+        svg += `<defs><clipPath id="timeline-plot"><rect x="${this.labelWidth}" y="0" width="${plotWidth}" height="${height}"/></clipPath></defs>`;
+        
+        // Axis and grid
+        const step = this.getTickStep(range.end - range.start);
+        for (let tick = Math.ceil(range.start / step) * step; tick <= range.end; tick += step) {
+            svg += `<line class="tl-grid" x1="${x(tick)}" y1="${this.axisHeight - 4}" x2="${x(tick)}" y2="${height}"/>`;
+            svg += `<text class="tl-tick" x="${x(tick)}" y="${this.axisHeight - 8}" text-anchor="middle">${Math.round(tick)} ms</text>`;
+        }
+        
+        lanes.forEach((lane, laneIndex) => {
+            const top = this.axisHeight + laneIndex * this.laneHeight;
+            const middle = top + this.laneHeight / 2;
+            
+            svg += `<rect class="tl-lane${laneIndex % 2 ? ' tl-lane-alt' : ''}" x="${this.labelWidth}" y="${top}" width="${plotWidth}" height="${this.laneHeight}"/>`;
+            svg += `<text class="tl-label" x="4" y="${middle + 4}">${lane.label}</text>`;
+            svg += `<g clip-path="url(#timeline-plot)">`;
+            
+            // Ranges first so points stay on top
+            lane.events
+                .filter(event => event.kind === 'range' && visible(event.time, event.end))
+                .forEach(event => {
+                    svg += `<rect class="tl-event ${event.className}" x="${x(event.time)}" y="${top + 6}" ` +
+                        `width="${Math.max(x(event.end) - x(event.time), 1)}" height="${this.laneHeight - 12}" ` +
+                        `data-tooltip="${this.escapeAttribute(event.tooltip)}"/>`;
+                });
+            
+            lane.events
+                .filter(event => event.kind === 'milestone' && visible(event.time, event.time))
+                .forEach(event => {
+                    // Milestones are drawn across all lanes so image events can be read against them
+                    svg += `<line class="tl-milestone ${event.className}" x1="${x(event.time)}" y1="${top}" x2="${x(event.time)}" y2="${height}"/>`;
+                    svg += `<rect class="tl-event ${event.className}" x="${x(event.time) - 4}" y="${middle - 4}" width="8" height="8" ` +
+                        `transform="rotate(45 ${x(event.time)} ${middle})" data-tooltip="${this.escapeAttribute(event.tooltip)}"/>`;
+                });
+            
+            lane.events
+                .filter(event => event.kind === 'point' && visible(event.time, event.time))
+                .forEach(event => {
+                    svg += `<circle class="tl-event ${event.className}" cx="${x(event.time)}" cy="${middle}" r="${event.radius || 4}" ` +
+                        `data-tooltip="${this.escapeAttribute(event.tooltip)}"/>`;
+                });
+            
+            svg += `</g>`;
+        });
+        
+        svg += `</svg>`;
+        
+        this.container.innerHTML = `
+            <h2>Page Load Timeline</h2>
+            <div class="timeline-controls">
+                <button data-zoom="in">Zoom In</button>
+                <button data-zoom="out">Zoom Out</button>
+                <button data-zoom="reset">Reset</button>
+                <span>Showing ${range.start.toFixed(0)}–${range.end.toFixed(0)} ms after navigation start. Scroll to zoom, drag to pan.</span>
+            </div>
+            <p class="timeline-legend">
+                <span class="tl-key tl-load"></span> Load event
+                <span class="tl-key tl-paint"></span> Paint
+                <span class="tl-key tl-paint-lowres"></span> Low-res paint
+                <span class="tl-key tl-viewport"></span> Viewport entry
+                <span class="tl-key tl-decode"></span> Decode / ready
+                <span class="tl-key tl-shift"></span> Layout shift
+                <span class="tl-key tl-long-frame"></span> Long frame
+            </p>
+            <div class="timeline-plot">${svg}</div>
+            <div class="timeline-tooltip"></div>
+        `;
+    }
+    
+    /**
+     * Show the tooltip of the hovered event next to the cursor
+     */
+    updateTooltip(event) {
+        const tooltip = this.container.querySelector('.timeline-tooltip');
+        if (!tooltip) return;
+        
+        const target = event.target.closest('[data-tooltip]');
+        if (!target) {
+            tooltip.style.display = 'none';
+            return;
+        }
+        
+        const bounds = this.container.getBoundingClientRect();
+        tooltip.textContent = target.dataset.tooltip;
+        tooltip.style.display = 'block';
+        tooltip.style.left = `${event.clientX - bounds.left + 12}px`;
+        tooltip.style.top = `${event.clientY - bounds.top + 12}px`;
+    }
+    
+    /**
+     * Escape text for use in an attribute value
+     */
+    escapeAttribute(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\n/g, '&#10;');
+    }
+}